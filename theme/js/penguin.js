@@ -5,6 +5,8 @@ const BEFORE_PREPARATION = "mkdocs:before-preparation";
 const AFTER_PREPARATION = "mkdocs:after-preparation";
 const BEFORE_SWAP = "mkdocs:before-swap";
 const AFTER_SWAP = "mkdocs:after-swap";
+const NAVIGATION_ERROR = "mkdocs:navigation-error";
+const NAVIGATION_ABORTED = "mkdocs:navigation-aborted";
 
 const dispatchEvent = e => document.dispatchEvent(new Event(e));
 
@@ -30,6 +32,17 @@ class PageTransition extends Event {
     }
 }
 
+// Raised when a page can't be loaded; status is 0 for network failures
+class NavigationError extends Error {
+    constructor(message, url, status = 0) {
+        super(message);
+        this.name = "NavigationError";
+        this.url = url;
+        this.status = status;
+        this.type = status ? "http" : "network";
+    }
+}
+
 // View transition support detection
 const supportsViewTransitions = !!document.startViewTransition;
 const isViewTransitionsEnabled = () => !!document.querySelector('[name="mkdocs-view-transitions-enabled"]');
@@ -37,6 +50,7 @@ const isViewTransitionsEnabled = () => !!document.querySelector('[name="mkdocs-v
 // Navigation state management
 let currentLocation, viewTransition, skipTransition = false, finishTransition;
 let navigationIndex = 0;
+let pendingNavigation = null;
 
 // History management
 const originalPushState = history.pushState.bind(history);
@@ -49,6 +63,16 @@ const updateHistoryState = (state) => {
     }
 };
 
+// Like updateHistoryState(), but gives the entry a state first when view transitions haven't,
+// for in-page positions that have to survive a reload or Back/Forward either way
+const mergeHistoryState = (state) => {
+    if (history.state) {
+        updateHistoryState(state);
+    } else {
+        originalReplaceState({ index: navigationIndex, scrollX: window.scrollX, scrollY: window.scrollY, ...state }, "");
+    }
+};
+
 // Initialize navigation state
 if (history.state) {
     navigationIndex = history.state.index;
@@ -60,23 +84,50 @@ if (history.state) {
 
 // Enhanced page loading with prefetching
 const prefetchedPages = new Set();
-const observedLinks = new WeakSet();
-let prefetchAll = false;
-let defaultPrefetchStrategy = "hover";
+// Per strategy, so links claimed by one strategy are still picked up if configure() switches to another
+const observedLinks = { hover: new WeakSet(), viewport: new WeakSet() };
+const linkScanners = [];
+// Per strategy: one document rule each, matching the links marked with data-mkdocs-speculate
+const speculationRuleScripts = new Map();
+const prefetchQueue = [];
+let activePrefetches = 0;
 let prefetchInitialized = false;
 
+const PREFETCH_STRATEGIES = ["hover", "tap", "viewport", "load"];
+const prefetchConfig = {
+    enabled: true,
+    prefetchAll: false,
+    defaultStrategy: "hover",
+    hoverDelay: 80,
+    viewportDelay: 300,
+    maxConcurrent: 4,
+    include: [],
+    exclude: [],
+    speculationRules: true,
+    prerender: false
+};
+
+// Speculation Rules support
+const supportsSpeculationRules = HTMLScriptElement.supports?.("speculationrules") ?? false;
+const SPECULATION_EAGERNESS = {
+    load: "immediate",
+    viewport: "eager",
+    hover: "moderate",
+    tap: "conservative"
+};
+
 // Prefetch functionality
 function initializePrefetch(options) {
     if (prefetchInitialized) return;
     prefetchInitialized = true;
     
-    prefetchAll = options?.prefetchAll ?? false;
-    defaultPrefetchStrategy = options?.defaultStrategy ?? "hover";
+    Object.assign(prefetchConfig, normalizePrefetchOptions(options ?? {}));
     
     setupTapPrefetch();
     setupHoverPrefetch();
     setupViewportPrefetch();
     setupLoadPrefetch();
+    setupSpeculationRules();
 }
 
 function setupTapPrefetch() {
@@ -100,8 +151,8 @@ function setupHoverPrefetch() {
     
     observeNewLinks(() => {
         for (const link of document.getElementsByTagName("a")) {
-            if (!observedLinks.has(link) && shouldPrefetch(link, "hover")) {
-                observedLinks.add(link);
+            if (!observedLinks.hover.has(link) && shouldPrefetch(link, "hover")) {
+                observedLinks.hover.add(link);
                 link.addEventListener("mouseenter", handleHover, { passive: true });
                 link.addEventListener("mouseleave", handleHoverEnd, { passive: true });
             }
@@ -109,11 +160,14 @@ function setupHoverPrefetch() {
     });
     
     function handleHover(e) {
+        // Listeners outlive a configure() that moves the link to another strategy
+        if (!shouldPrefetch(e.target, "hover")) return;
+        
         const href = e.target.href;
         if (hoverTimeout) clearTimeout(hoverTimeout);
         hoverTimeout = setTimeout(() => {
             prefetchPage(href, { with: "fetch" });
-        }, 80);
+        }, prefetchConfig.hoverDelay);
     }
     
     function handleHoverEnd() {
@@ -129,8 +183,8 @@ function setupViewportPrefetch() {
     
     observeNewLinks(() => {
         for (const link of document.getElementsByTagName("a")) {
-            if (!observedLinks.has(link) && shouldPrefetch(link, "viewport")) {
-                observedLinks.add(link);
+            if (!observedLinks.viewport.has(link) && shouldPrefetch(link, "viewport")) {
+                observedLinks.viewport.add(link);
                 if (!intersectionObserver) intersectionObserver = createIntersectionObserver();
                 intersectionObserver.observe(link);
             }
@@ -145,13 +199,18 @@ function createIntersectionObserver() {
             const link = entry.target;
             const timeout = timeouts.get(link);
             
-            if (entry.isIntersecting) {
+            if (!shouldPrefetch(link, "viewport")) {
+                if (timeout) clearTimeout(timeout);
+                timeouts.delete(link);
+                observer.unobserve(link);
+                observedLinks.viewport.delete(link);
+            } else if (entry.isIntersecting) {
                 if (timeout) clearTimeout(timeout);
                 timeouts.set(link, setTimeout(() => {
                     observer.unobserve(link);
                     timeouts.delete(link);
                     prefetchPage(link.href, { with: "link" });
-                }, 300));
+                }, prefetchConfig.viewportDelay));
             } else if (timeout) {
                 clearTimeout(timeout);
                 timeouts.delete(link);
@@ -174,32 +233,142 @@ function prefetchPage(url, options) {
     const ignoreSlowConnection = options?.ignoreSlowConnection ?? false;
     if (!canPrefetch(url, ignoreSlowConnection)) return;
     
+    // The browser triggers these itself, from the document rules in setupSpeculationRules()
+    if (canUseSpeculationRules()) return;
+    
     prefetchedPages.add(url);
     
     if ((options?.with ?? "link") === "link") {
-        const link = document.createElement("link");
-        link.rel = "prefetch";
-        link.setAttribute("href", url);
-        document.head.append(link);
+        enqueuePrefetch(() => new Promise(resolve => {
+            const link = document.createElement("link");
+            link.rel = "prefetch";
+            link.setAttribute("href", url);
+            link.onload = link.onerror = resolve;
+            // Browsers without link prefetch never fire either event, so don't hold the slot forever
+            setTimeout(resolve, 10000);
+            document.head.append(link);
+        }));
     } else {
-        fetch(url).catch(error => {
+        enqueuePrefetch(() => loadPage(url).catch(error => {
             console.log(`[mkdocs] Failed to prefetch ${url}`);
             console.error(error);
+        }));
+    }
+}
+
+// Speculative loads are only picked up by real browser navigations. With view transitions on,
+// pages are loaded through fetchPage() instead, so the fetch/link prefetch paths stay in charge.
+function canUseSpeculationRules() {
+    return supportsSpeculationRules &&
+           prefetchConfig.enabled &&
+           prefetchConfig.speculationRules &&
+           !isViewTransitionsEnabled();
+}
+
+// Links are marked with the strategy they qualify for, after the same checks as canPrefetch(),
+// and each strategy's rule leaves the timing to the browser through its eagerness
+function setupSpeculationRules() {
+    observeNewLinks(() => {
+        syncSpeculationRules();
+        for (const link of document.getElementsByTagName("a")) {
+            const strategy = canUseSpeculationRules() ? getSpeculationStrategy(link) : null;
+            if (strategy) {
+                link.dataset.mkdocsSpeculate = strategy;
+            } else {
+                delete link.dataset.mkdocsSpeculate;
+            }
+        }
+    });
+}
+
+function getSpeculationStrategy(link) {
+    if (!canPrefetch(link.href, true)) return null;
+    // As in the script-driven path, a slow connection only prefetches on tap
+    if (isSlowConnection()) return shouldPrefetch(link, "tap") ? "tap" : null;
+    return PREFETCH_STRATEGIES.find(strategy => shouldPrefetch(link, strategy)) ?? null;
+}
+
+function addSpeculationRule(strategy, action) {
+    const script = document.createElement("script");
+    script.type = "speculationrules";
+    script.dataset.mkdocsSpeculation = action;
+    script.textContent = JSON.stringify({
+        [action]: [{
+            source: "document",
+            where: { selector_matches: `a[data-mkdocs-speculate="${strategy}"]` },
+            eagerness: SPECULATION_EAGERNESS[strategy]
+        }]
+    });
+    document.head.append(script);
+    speculationRuleScripts.set(strategy, script);
+}
+
+// Replace rules that were removed (e.g. by a head swap) or ask for the wrong action, and drop them all
+// when speculation rules are switched off
+function syncSpeculationRules() {
+    const action = prefetchConfig.prerender ? "prerender" : "prefetch";
+    for (const [strategy, script] of speculationRuleScripts) {
+        if (!script.isConnected || script.dataset.mkdocsSpeculation !== action || !canUseSpeculationRules()) {
+            script.remove();
+            speculationRuleScripts.delete(strategy);
+        }
+    }
+    
+    if (!canUseSpeculationRules()) return;
+    for (const strategy of PREFETCH_STRATEGIES) {
+        if (!speculationRuleScripts.has(strategy)) addSpeculationRule(strategy, action);
+    }
+}
+
+document.addEventListener(AFTER_SWAP, syncSpeculationRules);
+
+function enqueuePrefetch(task) {
+    prefetchQueue.push(task);
+    drainPrefetchQueue();
+}
+
+function drainPrefetchQueue() {
+    while (activePrefetches < prefetchConfig.maxConcurrent && prefetchQueue.length) {
+        const task = prefetchQueue.shift();
+        activePrefetches++;
+        task().finally(() => {
+            activePrefetches--;
+            drainPrefetchQueue();
         });
     }
 }
 
 function canPrefetch(url, ignoreSlowConnection) {
-    if (!navigator.onLine || (!ignoreSlowConnection && isSlowConnection())) return false;
-    
+    // Only a malformed URL is a reason to give up quietly; anything else is a bug worth seeing
+    let targetUrl;
     try {
-        const targetUrl = new URL(url, location.href);
-        return location.origin === targetUrl.origin &&
-               (location.pathname !== targetUrl.pathname || location.search !== targetUrl.search) &&
-               !prefetchedPages.has(url);
+        targetUrl = new URL(url, location.href);
     } catch {
         return false;
     }
+    
+    return isPrefetchAllowed(targetUrl, ignoreSlowConnection) &&
+           location.origin === targetUrl.origin &&
+           getPageCacheKey(targetUrl) !== getPageCacheKey(location.href) &&
+           !prefetchedPages.has(url);
+}
+
+// Settings and connection checks for loading a page before it's visited; link previews use them too
+function isPrefetchAllowed(url, ignoreSlowConnection) {
+    if (!prefetchConfig.enabled) return false;
+    if (!navigator.onLine) {
+        // Offline, only pages the service worker has saved can still be loaded
+        if (!isAvailableOffline(url)) return false;
+    } else if (!ignoreSlowConnection && isSlowConnection()) {
+        return false;
+    }
+    return isPrefetchPathAllowed(url.pathname);
+}
+
+function isPrefetchPathAllowed(pathname) {
+    const matches = pattern => pattern.test(pathname);
+    if (prefetchConfig.include.length && !prefetchConfig.include.some(matches)) return false;
+    return !prefetchConfig.exclude.some(matches);
 }
 
 function shouldPrefetch(element, strategy) {
@@ -208,17 +377,95 @@ function shouldPrefetch(element, strategy) {
     const prefetchAttr = element.dataset.mkdocsPrefetch;
     if (prefetchAttr === "false") return false;
     
-    if (strategy === "tap" && (prefetchAttr != null || prefetchAll) && isSlowConnection()) {
+    if (strategy === "tap" && (prefetchAttr != null || prefetchConfig.prefetchAll) && isSlowConnection()) {
         return true;
     }
     
-    if (prefetchAttr == null && prefetchAll || prefetchAttr === "") {
-        return strategy === defaultPrefetchStrategy;
+    if (prefetchAttr == null && prefetchConfig.prefetchAll || prefetchAttr === "") {
+        return strategy === prefetchConfig.defaultStrategy;
     }
     
     return prefetchAttr === strategy;
 }
 
+// Prefetch configuration from <meta name="mkdocs-prefetch"> and penguinTheme.configure()
+function readPrefetchMeta() {
+    const meta = document.querySelector('meta[name="mkdocs-prefetch"]');
+    const content = meta?.getAttribute("content")?.trim();
+    if (!content) return {};
+    if (/^(false|off|none)$/i.test(content)) return { enabled: false };
+    
+    // e.g. content="strategy=viewport, hover-delay=120, max-concurrent=2, exclude=/search/* /contact/*"
+    const options = {};
+    for (const pair of content.split(",")) {
+        const [key, ...rest] = pair.split("=");
+        const value = rest.join("=").trim();
+        switch (key.trim().toLowerCase()) {
+            case "enabled": options.enabled = value !== "false"; break;
+            case "all": options.prefetchAll = value !== "false"; break;
+            case "strategy": options.defaultStrategy = value; break;
+            case "hover-delay": options.hoverDelay = Number(value); break;
+            case "viewport-delay": options.viewportDelay = Number(value); break;
+            case "max-concurrent": options.maxConcurrent = Number(value); break;
+            case "speculation-rules": options.speculationRules = value !== "false"; break;
+            case "prerender": options.prerender = value !== "false"; break;
+            case "include": options.include = value.split(/\s+/); break;
+            case "exclude": options.exclude = value.split(/\s+/); break;
+        }
+    }
+    return options;
+}
+
+function normalizePrefetchOptions(options) {
+    const normalized = {};
+    
+    for (const key of ["enabled", "prefetchAll", "speculationRules", "prerender"]) {
+        if (options[key] !== undefined) normalized[key] = !!options[key];
+    }
+    
+    if (/^(false|off|none)$/i.test(options.defaultStrategy ?? "")) {
+        normalized.enabled = false;
+    } else if (PREFETCH_STRATEGIES.includes(options.defaultStrategy)) {
+        normalized.defaultStrategy = options.defaultStrategy;
+    } else if (options.defaultStrategy !== undefined) {
+        console.warn(`[mkdocs] Unknown prefetch strategy "${options.defaultStrategy}"`);
+    }
+    
+    for (const key of ["hoverDelay", "viewportDelay"]) {
+        if (Number.isFinite(options[key]) && options[key] >= 0) normalized[key] = options[key];
+    }
+    if (options.maxConcurrent >= 1) normalized.maxConcurrent = options.maxConcurrent;
+    
+    for (const key of ["include", "exclude"]) {
+        if (options[key] !== undefined) {
+            normalized[key] = [].concat(options[key]).filter(Boolean).map(toPathPattern);
+        }
+    }
+    
+    return normalized;
+}
+
+// Path patterns are RegExps or globs matched against the whole pathname, where * spans any characters
+function toPathPattern(pattern) {
+    if (pattern instanceof RegExp) return pattern;
+    const source = String(pattern).split("*").map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+    return new RegExp(`^${source}$`);
+}
+
+function configurePrefetch(options) {
+    if (typeof options === "boolean") {
+        options = { enabled: options };
+    }
+    Object.assign(prefetchConfig, normalizePrefetchOptions(options));
+    syncSpeculationRules();
+    drainPrefetchQueue();
+    
+    // Links that didn't qualify under the old settings may do now
+    if (prefetchInitialized) {
+        linkScanners.forEach(scan => scan());
+    }
+}
+
 function isSlowConnection() {
     if ("connection" in navigator) {
         const connection = navigator.connection;
@@ -228,6 +475,7 @@ function isSlowConnection() {
 }
 
 function observeNewLinks(callback) {
+    linkScanners.push(callback);
     callback();
     let hasRun = false;
     document.addEventListener("mkdocs:page-load", () => {
@@ -239,6 +487,270 @@ function observeNewLinks(callback) {
     });
 }
 
+// The active search query, as in ?q=krill. Page cache keys leave it out, and the prefetcher
+// builds those on its first scan, so it's declared ahead of both.
+const SEARCH_QUERY_PARAM = "q";
+
+// In-memory LRU cache of fetched pages, filled by the prefetcher and read by the navigation loader
+const pageCache = new Map();
+const pendingPages = new Map();
+const pageCacheConfig = {
+    maxEntries: 20,
+    ttl: 5 * 60 * 1000,
+    staleWhileRevalidate: 30 * 60 * 1000
+};
+
+function getPageCacheKey(url) {
+    const key = new URL(url, location.href);
+    key.hash = "";
+    key.searchParams.delete(SEARCH_QUERY_PARAM);
+    return key.href;
+}
+
+async function loadPage(url, options = {}) {
+    // Form submissions always go to the network
+    if (options.formData) return fetchPage(url, options);
+    
+    const key = getPageCacheKey(url);
+    const cached = pageCache.get(key);
+    if (cached) {
+        const age = Date.now() - cached.time;
+        if (age < pageCacheConfig.ttl + pageCacheConfig.staleWhileRevalidate) {
+            // Re-insert to mark the entry as most recently used
+            pageCache.delete(key);
+            pageCache.set(key, cached);
+            if (age >= pageCacheConfig.ttl) {
+                requestPage(key, url).catch(() => {});
+            }
+            return cached.page;
+        }
+        pageCache.delete(key);
+    }
+    
+    return requestPage(key, url, options.signal);
+}
+
+// Callers with a signal (navigations) may cancel the request, but only once every one of them has
+// aborted; a caller without one (prefetch, link preview, revalidation) keeps it running regardless
+function requestPage(key, url, signal) {
+    let pending = pendingPages.get(key);
+    if (!pending) {
+        const controller = new AbortController();
+        pending = { controller, waiters: 0, pinned: false };
+        pending.promise = fetchPage(url, { signal: controller.signal }).then(page => {
+            if (page?.status < 400) storePage(key, page);
+            return page;
+        }).finally(() => {
+            if (pendingPages.get(key) === pending) pendingPages.delete(key);
+        });
+        pendingPages.set(key, pending);
+    }
+    
+    if (!signal) {
+        pending.pinned = true;
+    } else if (!signal.aborted) {
+        pending.waiters++;
+        signal.addEventListener("abort", () => releasePage(key, pending), { once: true });
+    }
+    return pending.promise;
+}
+
+function releasePage(key, pending) {
+    pending.waiters--;
+    if (pending.waiters > 0 || pending.pinned) return;
+    
+    // Forget it right away, so a new request for the page doesn't join the aborted one
+    if (pendingPages.get(key) === pending) pendingPages.delete(key);
+    pending.controller.abort();
+}
+
+function storePage(key, page) {
+    pageCache.delete(key);
+    pageCache.set(key, { page, time: Date.now() });
+    evictPages();
+}
+
+function evictPages() {
+    // Map iteration order is insertion order, so the first key is the least recently used
+    while (pageCache.size > pageCacheConfig.maxEntries) {
+        pageCache.delete(pageCache.keys().next().value);
+    }
+}
+
+function configurePageCache(options) {
+    if (options === false) {
+        options = { maxEntries: 0 };
+    }
+    for (const key of ["maxEntries", "ttl", "staleWhileRevalidate"]) {
+        if (Number.isFinite(options[key]) && options[key] >= 0) pageCacheConfig[key] = options[key];
+    }
+    evictPages();
+}
+
+// Warm the cache with the page we landed on so the first Back traversal doesn't wait on the network
+function cacheInitialPage() {
+    if (!isViewTransitionsEnabled()) return;
+    const schedule = window.requestIdleCallback ?? (callback => setTimeout(callback, 2000));
+    schedule(() => loadPage(location.href).catch(() => {}));
+}
+
+// Offline reading through the theme's service worker (sw.js), switched on with extra.offline
+const offlineConfig = { enabled: false };
+const offlinePages = new Set();
+let servedFromCache = false;
+
+function supportsOfflineReading() {
+    return "serviceWorker" in navigator && window.isSecureContext;
+}
+
+function readOfflineMeta() {
+    const content = document.querySelector('meta[name="mkdocs-offline"]')?.getAttribute("content")?.trim();
+    return Boolean(content) && !/^(false|off|none)$/i.test(content);
+}
+
+function configureOffline(enabled) {
+    offlineConfig.enabled = Boolean(enabled) && supportsOfflineReading();
+    if (offlineConfig.enabled) {
+        registerOfflineWorker();
+    } else if (supportsOfflineReading() && navigator.serviceWorker.controller) {
+        unregisterOfflineWorker();
+    }
+    updateOfflineControls();
+}
+
+function getOfflineWorkerUrl() {
+    return new URL("sw.js", siteRoot).href;
+}
+
+function registerOfflineWorker() {
+    navigator.serviceWorker.register(getOfflineWorkerUrl(), { scope: siteRoot.pathname })
+        .then(refreshOfflinePages)
+        .catch(error => console.warn("Offline reading is unavailable:", error));
+    
+    // The worker can't reach a page it's still creating, so a page loaded from its cache asks afterwards
+    if (navigator.serviceWorker.controller) {
+        messageOfflineWorker({ type: "offline-status" }).then(status => {
+            if (status) handleOfflineResponse(status);
+        });
+    }
+}
+
+// The worker drops the oldest visited pages, so ask it what it holds rather than keeping count here
+function refreshOfflinePages() {
+    return messageOfflineWorker({ type: "list-pages" }).then(urls => {
+        offlinePages.clear();
+        for (const url of urls) offlinePages.add(getPageCacheKey(url));
+    });
+}
+
+function unregisterOfflineWorker() {
+    offlinePages.clear();
+    navigator.serviceWorker.getRegistration(siteRoot.href).then(registration => {
+        if (registration?.active?.scriptURL === getOfflineWorkerUrl()) {
+            registration.unregister();
+        }
+    });
+}
+
+function messageOfflineWorker(message) {
+    return navigator.serviceWorker.ready.then(registration => new Promise(resolve => {
+        const channel = new MessageChannel();
+        channel.port1.onmessage = event => resolve(event.data);
+        registration.active.postMessage(message, [channel.port2]);
+    }));
+}
+
+function isAvailableOffline(url) {
+    return offlineConfig.enabled && offlinePages.has(getPageCacheKey(url));
+}
+
+async function saveSectionForOffline(button) {
+    const urls = button.dataset.offlinePages.trim().split(/\s+/).filter(Boolean)
+        .map(url => new URL(url, location.href).href);
+    
+    button.disabled = true;
+    button.textContent = "Saving…";
+    try {
+        const { saved, failed } = await messageOfflineWorker({ type: "save-pages", urls });
+        for (const url of saved) offlinePages.add(getPageCacheKey(url));
+        button.textContent = failed.length
+            ? `Saved ${saved.length} of ${urls.length} pages for offline`
+            : "Section saved for offline";
+    } catch {
+        button.textContent = "Couldn't save this section";
+        button.disabled = false;
+    }
+}
+
+function updateOfflineControls() {
+    for (const button of document.querySelectorAll("[data-mkdocs-offline-save]")) {
+        button.hidden = !offlineConfig.enabled;
+    }
+    updateOfflineBanner();
+}
+
+function updateOfflineBanner() {
+    const banner = document.querySelector(".offline-banner");
+    if (banner) {
+        banner.hidden = !offlineConfig.enabled || (navigator.onLine && !servedFromCache);
+    }
+}
+
+// With no saved copy of a page the worker answers with 404.html; tell the reader they're offline instead
+function showOfflineFallback() {
+    const layout = document.querySelector(".navigation-error");
+    if (!layout) return;
+    
+    const { title, status, message } = describeNavigationError({
+        to: new URL(location.href),
+        error: new NavigationError("No saved copy of this page", location.href)
+    });
+    layout.querySelector("[data-error-title]").textContent = title;
+    layout.querySelector("[data-error-status]").textContent = status;
+    layout.querySelector("[data-error-message]").textContent = message;
+    layout.dataset.status = 0;
+    document.title = title;
+}
+
+function handleOfflineResponse(response) {
+    servedFromCache = true;
+    updateOfflineBanner();
+    if (response.fallback) {
+        if (document.readyState === "loading") {
+            document.addEventListener("DOMContentLoaded", showOfflineFallback, { once: true });
+        } else {
+            showOfflineFallback();
+        }
+    }
+}
+
+if (supportsOfflineReading()) {
+    navigator.serviceWorker.addEventListener("message", (event) => {
+        if (event.data?.type === "offline-response") handleOfflineResponse(event.data);
+    });
+}
+
+document.addEventListener(BEFORE_PREPARATION, () => {
+    servedFromCache = false;
+});
+
+document.addEventListener("mkdocs:page-load", () => {
+    // A page opened in the browser may have joined the worker's cache, and pushed an old one out
+    if (offlineConfig.enabled && navigator.serviceWorker.controller) {
+        refreshOfflinePages().catch(() => {});
+    }
+    updateOfflineControls();
+});
+
+document.addEventListener("click", (event) => {
+    const button = event.target.closest?.("[data-mkdocs-offline-save]");
+    if (button) saveSectionForOffline(button);
+});
+
+for (const type of ["online", "offline"]) {
+    addEventListener(type, updateOfflineBanner);
+}
+
 // Enhanced navigation system
 async function navigateToPage(direction, fromUrl, toUrl, options, scrollState) {
     if (!isViewTransitionsEnabled() || location.origin !== toUrl.origin) {
@@ -253,6 +765,9 @@ async function navigateToPage(direction, fromUrl, toUrl, options, scrollState) {
         updateHistoryState({ scrollX: window.scrollX, scrollY: window.scrollY });
     }
     
+    // A newer navigation supersedes whatever is still loading
+    abortPendingNavigation();
+    
     // Handle same-page navigation with hash
     if (fromUrl.pathname === toUrl.pathname && fromUrl.search === toUrl.search) {
         if ((direction !== "back" && toUrl.hash) || (direction === "back" && fromUrl.hash)) {
@@ -261,8 +776,28 @@ async function navigateToPage(direction, fromUrl, toUrl, options, scrollState) {
         }
     }
     
+    const pending = { controller: new AbortController(), from: fromUrl, to: toUrl, direction, navigationType, options };
+    pendingNavigation = pending;
+    options = { ...options, signal: pending.controller.signal };
+    
     const transitionEvent = await dispatchBeforePreparation(fromUrl, toUrl, direction, navigationType, options);
     
+    if (pending.controller.signal.aborted) return;
+    settleNavigation(pending);
+    
+    if (transitionEvent.navigationError) {
+        const errorEvent = dispatchNavigationError(transitionEvent, options);
+        
+        // Without a document to show, render the theme's error layout in place
+        if (!transitionEvent.newDocument) {
+            if (!errorEvent.defaultPrevented) {
+                renderNavigationError(errorEvent, options);
+            }
+            return;
+        }
+        if (errorEvent.defaultPrevented) return;
+    }
+    
     if (transitionEvent.defaultPrevented) {
         location.href = toUrl.href;
         return;
@@ -270,14 +805,21 @@ async function navigateToPage(direction, fromUrl, toUrl, options, scrollState) {
     
     skipTransition = false;
     
-    if (supportsViewTransitions) {
+    const animation = getTransitionAnimation(transitionEvent);
+    // Set before startViewTransition() captures the old page, so it already has view-transition-name: main
+    document.documentElement.setAttribute("data-mkdocs-transition", transitionEvent.direction);
+    document.documentElement.setAttribute("data-mkdocs-transition-animation", animation);
+    
+    // "none" skips the View Transitions API too, so shared elements don't morph either
+    if (supportsViewTransitions && animation !== "none") {
         viewTransition = document.startViewTransition(async () => {
             await performPageSwap(transitionEvent, options, scrollState);
         });
     } else {
+        const fallback = animation === "none" ? "swap" : getFallbackAnimation();
         const asyncSwap = (async () => {
             await new Promise(resolve => setTimeout(resolve));
-            await performPageSwap(transitionEvent, options, scrollState, getFallbackAnimation());
+            await performPageSwap(transitionEvent, options, scrollState, fallback);
         })();
         
         viewTransition = {
@@ -297,6 +839,7 @@ async function navigateToPage(direction, fromUrl, toUrl, options, scrollState) {
     viewTransition.finished.then(() => {
         document.documentElement.removeAttribute("data-mkdocs-transition");
         document.documentElement.removeAttribute("data-mkdocs-transition-fallback");
+        document.documentElement.removeAttribute("data-mkdocs-transition-animation");
     });
     
     await viewTransition.ready;
@@ -311,18 +854,32 @@ async function dispatchBeforePreparation(from, to, direction, navigationType, op
     );
     
     event.loader = async function() {
-        const response = await fetchPage(this.to.href, options);
+        let response;
+        try {
+            response = await raceAbort(loadPage(this.to.href, options), options.signal);
+        } catch (error) {
+            if (error.name !== "AbortError") {
+                this.navigationError = error;
+            }
+            this.preventDefault();
+            return;
+        }
+        
         if (response === null) {
             this.preventDefault();
             return;
         }
         
+        // The server's own error page still gets shown, but listeners hear about the failure
+        if (response.status >= 400) {
+            this.navigationError = new NavigationError(`Request failed with status ${response.status}`, this.to.href, response.status);
+        }
+        
         if (response.redirected) {
             this.to = new URL(response.redirected);
         }
         
-        this.newDocument = new DOMParser().parseFromString(response.html, response.mediaType);
-        this.newDocument.querySelectorAll("noscript").forEach(el => el.remove());
+        this.newDocument = parsePage(response);
         
         if (!this.newDocument.querySelector('[name="mkdocs-view-transitions-enabled"]') && !options.formData) {
             this.preventDefault();
@@ -348,31 +905,83 @@ async function dispatchBeforePreparation(from, to, direction, navigationType, op
     return event;
 }
 
+// Stop waiting on a (possibly shared) request once the navigation is aborted; requestPage() decides
+// whether the request itself is cancelled
+function raceAbort(promise, signal) {
+    if (!signal) return promise;
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) reject(signal.reason);
+        signal.addEventListener("abort", () => reject(signal.reason), { once: true });
+        promise.then(resolve, reject);
+    });
+}
+
+function settleNavigation(pending) {
+    if (pendingNavigation === pending) {
+        pendingNavigation = null;
+    }
+}
+
+function abortPendingNavigation() {
+    // Skip the older transition if one is still animating
+    viewTransition?.skipTransition();
+    
+    const pending = pendingNavigation;
+    if (!pending) return;
+    
+    pendingNavigation = null;
+    pending.controller.abort();
+    
+    document.dispatchEvent(new PageTransition(
+        NAVIGATION_ABORTED,
+        undefined,
+        pending.from,
+        pending.to,
+        pending.direction,
+        pending.navigationType,
+        pending.options.sourceElement,
+        pending.options.info
+    ));
+}
+
 async function fetchPage(url, options) {
+    const fetchOptions = { signal: options.signal };
+    if (options.formData) {
+        fetchOptions.method = "POST";
+        fetchOptions.body = options.formData;
+    }
+    
     try {
-        const fetchOptions = {};
-        if (options.formData) {
-            fetchOptions.method = "POST";
-            fetchOptions.body = options.formData;
-        }
-        
         const response = await fetch(url, fetchOptions);
         const contentType = (response.headers.get("content-type") ?? "").split(";", 1)[0].trim();
         
         if (contentType !== "text/html" && contentType !== "application/xhtml+xml") {
+            // An error without a page to show is a failure; anything else is left to the browser
+            if (!response.ok) {
+                throw new NavigationError(`Request failed with status ${response.status}`, url, response.status);
+            }
             return null;
         }
         
         return {
             html: await response.text(),
             redirected: response.redirected ? response.url : undefined,
-            mediaType: contentType
+            mediaType: contentType,
+            status: response.status
         };
-    } catch {
-        return null;
+    } catch (error) {
+        if (error instanceof NavigationError || error.name === "AbortError") throw error;
+        throw new NavigationError(`Failed to fetch ${url}: ${error.message}`, url);
     }
 }
 
+// Navigation and link previews read fetched pages the same way
+function parsePage(response) {
+    const newDocument = new DOMParser().parseFromString(response.html, response.mediaType);
+    newDocument.querySelectorAll("noscript").forEach(el => el.remove());
+    return newDocument;
+}
+
 function preloadStylesheets(newDocument) {
     const promises = [];
     for (const link of newDocument.querySelectorAll("head link[rel=stylesheet]")) {
@@ -393,14 +1002,12 @@ function preloadStylesheets(newDocument) {
 }
 
 async function performPageSwap(transitionEvent, options, scrollState, fallback) {
-    if (!skipTransition) {
-        document.documentElement.setAttribute("data-mkdocs-transition", transitionEvent.direction);
-        if (fallback === "animate") {
-            await animateTransition("old");
-        }
-    } else {
+    if (skipTransition) {
         throw new DOMException("Transition was skipped");
     }
+    if (fallback === "animate") {
+        await animateTransition("old");
+    }
     
     const title = document.title;
     const swapEvent = await dispatchBeforeSwap(transitionEvent, viewTransition, swapDocument);
@@ -410,6 +1017,8 @@ async function performPageSwap(transitionEvent, options, scrollState, fallback)
     
     if (fallback === "animate" && !skipTransition) {
         animateTransition("new").then(() => finishTransition && finishTransition());
+    } else if (fallback) {
+        finishTransition?.();
     }
 }
 
@@ -427,7 +1036,7 @@ async function dispatchBeforeSwap(transitionEvent, vt, swapFn) {
     
     event.newDocument = transitionEvent.newDocument;
     event.viewTransition = vt;
-    event.swap = swapFn.bind(event);
+    event.swap = () => swapFn(event);
     
     document.dispatchEvent(event);
     event.swap();
@@ -535,6 +1144,15 @@ async function animateTransition(phase) {
     return Promise.all(newAnimations.map(animation => animation.finished));
 }
 
+// For state kept in the URL (search query, code lines, table sort, open image, current heading):
+// replaces the entry rather than pushing, so typing and clicking don't flood the history
+function replaceUrl(url) {
+    originalReplaceState(history.state, "", url.href);
+    if (currentLocation) {
+        currentLocation = new URL(url.href);
+    }
+}
+
 function updateLocation(to, from, options, title, scrollState) {
     const isSameUrl = from.pathname === to.pathname && from.search === to.search;
     const currentTitle = document.title;
@@ -634,45 +1252,273 @@ function createRouteAnnouncer() {
     }, 60);
 }
 
-function getFallbackAnimation() {
-    const meta = document.querySelector('[name="mkdocs-view-transitions-fallback"]');
-    return meta ? meta.getAttribute("content") : "animate";
-}
+// Navigation errors
+let failedNavigation = null;
 
-// Enhanced navigation with form support
-async function navigate(url, options = {}) {
-    await navigateToPage("forward", currentLocation, new URL(url, location.href), options);
+function dispatchNavigationError(transitionEvent, options) {
+    const error = transitionEvent.navigationError;
+    const event = new PageTransition(
+        NAVIGATION_ERROR,
+        { cancelable: true },
+        transitionEvent.from,
+        transitionEvent.to,
+        transitionEvent.direction,
+        transitionEvent.navigationType,
+        transitionEvent.sourceElement,
+        transitionEvent.info
+    );
+    
+    event.error = error;
+    event.status = error.status;
+    // Retry from the original page so a #fragment on the failed URL isn't treated as an in-page jump
+    event.retry = () => navigateToPage("forward", event.from, event.to, {
+        history: "replace",
+        sourceElement: options.sourceElement,
+        info: options.info
+    });
+    
+    document.dispatchEvent(event);
+    return event;
 }
 
-// Popstate handler for browser back/forward
-function handlePopState(event) {
-    if (!isViewTransitionsEnabled() && event.state) {
-        location.reload();
+function renderNavigationError(event, options) {
+    const template = document.getElementById("mkdocs-error-template");
+    const content = document.querySelector(".content");
+    if (!template || !content) {
+        location.href = event.to.href;
         return;
     }
     
-    if (event.state === null) return;
+    const layout = template.content.firstElementChild.cloneNode(true);
+    const { title, status, message } = describeNavigationError(event);
+    layout.querySelector("[data-error-title]").textContent = title;
+    layout.querySelector("[data-error-status]").textContent = status;
+    layout.querySelector("[data-error-message]").textContent = message;
+    layout.dataset.status = event.status;
     
-    const state = history.state;
-    const index = state.index;
-    const direction = index > navigationIndex ? "forward" : "back";
+    // Commit the failed URL so Back returns to the page the reader came from
+    updateLocation(event.to, event.from, options, document.title, event.navigationType === "traverse" ? history.state : undefined);
+    failedNavigation = event;
     
-    navigationIndex = index;
-    navigateToPage(direction, currentLocation, new URL(location.href), {}, state);
+    content.replaceChildren(layout);
+    // They sit outside .content and still describe the page the reader came from
+    document.querySelectorAll(".breadcrumbs, .page-nav").forEach(element => element.remove());
+    document.title = title;
+    layout.querySelector("[data-mkdocs-retry]")?.focus();
 }
 
-// Scroll position tracking
-const trackScrollPosition = () => {
-    if (history.state && (window.scrollX !== history.state.scrollX || window.scrollY !== history.state.scrollY)) {
-        updateHistoryState({ scrollX: window.scrollX, scrollY: window.scrollY });
+function describeNavigationError(event) {
+    const path = event.to.pathname;
+    
+    if (event.error.type === "network") {
+        return {
+            title: "You appear to be offline",
+            status: "Network error",
+            message: `${path} couldn't be loaded. Check your connection and try again.`
+        };
     }
-};
+    if (event.status === 404) {
+        return {
+            title: "Page not found",
+            status: "Error 404",
+            message: `${path} doesn't exist or has moved.`
+        };
+    }
+    return {
+        title: "Something went wrong",
+        status: `Error ${event.status}`,
+        message: `The server couldn't deliver ${path}. Please try again in a moment.`
+    };
+}
+
+function retryNavigation() {
+    const event = failedNavigation;
+    failedNavigation = null;
+    if (event) {
+        event.retry();
+    } else {
+        location.reload();
+    }
+}
+
+document.addEventListener("click", (event) => {
+    if (event.target instanceof Element && event.target.closest("[data-mkdocs-retry]")) {
+        event.preventDefault();
+        retryNavigation();
+    }
+});
+
+document.addEventListener(BEFORE_PREPARATION, () => {
+    failedNavigation = null;
+});
+
+// Navigation progress bar, driven by the transition lifecycle events
+let progressBar = null;
+let progressValue = 0;
+let progressTimer, progressHideTimer;
+
+function setNavigationProgress(value) {
+    progressValue = value;
+    progressBar.style.transform = `scaleX(${value / 100})`;
+    progressBar.setAttribute("aria-valuenow", Math.round(value));
+}
+
+function startNavigationProgress() {
+    if (!progressBar) {
+        progressBar = document.createElement("div");
+        progressBar.className = "navigation-progress";
+        progressBar.setAttribute("role", "progressbar");
+        progressBar.setAttribute("aria-label", "Loading page");
+        progressBar.setAttribute("aria-valuemin", "0");
+        progressBar.setAttribute("aria-valuemax", "100");
+    }
+    // Lives outside <body> so swapDocument() leaves it alone
+    document.documentElement.append(progressBar);
+    
+    clearTimeout(progressHideTimer);
+    clearInterval(progressTimer);
+    progressBar.classList.add("active");
+    setNavigationProgress(10);
+    
+    // Creep towards 90% while the page loads, slowing down as it goes
+    progressTimer = setInterval(() => {
+        setNavigationProgress(progressValue + (90 - progressValue) * 0.1);
+    }, 300);
+}
+
+function advanceNavigationProgress() {
+    if (progressBar && progressValue < 70) {
+        setNavigationProgress(70);
+    }
+}
+
+function completeNavigationProgress() {
+    if (!progressBar?.classList.contains("active")) return;
+    
+    clearInterval(progressTimer);
+    setNavigationProgress(100);
+    progressHideTimer = setTimeout(() => {
+        progressBar.classList.remove("active");
+        setNavigationProgress(0);
+    }, 250);
+}
+
+document.addEventListener(BEFORE_PREPARATION, startNavigationProgress);
+document.addEventListener(AFTER_PREPARATION, advanceNavigationProgress);
+for (const type of [AFTER_SWAP, NAVIGATION_ERROR, NAVIGATION_ABORTED]) {
+    document.addEventListener(type, completeNavigationProgress);
+}
+
+function getFallbackAnimation() {
+    const meta = document.querySelector('[name="mkdocs-view-transitions-fallback"]');
+    return meta ? meta.getAttribute("content") : "animate";
+}
+
+// Named transition animations: "slide" (the default), "fade", "none", or any name the site styles itself.
+// A link's data-mkdocs-transition-animation wins over the mkdocs-transition-animation meta of the page
+// being opened, then of the current page. Either can name one animation per direction,
+// e.g. "forward=slide, back=fade". Readers who prefer reduced motion always get "none".
+const DEFAULT_TRANSITION_ANIMATION = "slide";
+const reducedMotionQuery = window.matchMedia("(prefers-reduced-motion: reduce)");
+
+function getTransitionAnimation(transitionEvent) {
+    if (reducedMotionQuery.matches) return "none";
+    
+    const metaSelector = 'meta[name="mkdocs-transition-animation"]';
+    const candidates = [
+        transitionEvent.sourceElement?.getAttribute?.("data-mkdocs-transition-animation"),
+        transitionEvent.newDocument?.querySelector(metaSelector)?.getAttribute("content"),
+        document.querySelector(metaSelector)?.getAttribute("content")
+    ];
+    
+    for (const value of candidates) {
+        const name = parseTransitionAnimation(value, transitionEvent.direction);
+        if (name) return name;
+    }
+    return DEFAULT_TRANSITION_ANIMATION;
+}
+
+function parseTransitionAnimation(value, direction) {
+    let name = null;
+    for (const part of (value ?? "").split(",")) {
+        const [key, ...rest] = part.split("=");
+        if (!rest.length) {
+            name ??= key.trim() || null;
+        } else if (key.trim() === direction) {
+            name = rest.join("=").trim();
+            break;
+        }
+    }
+    
+    // Names end up in attribute selectors, so keep them to plain identifiers
+    return name && /^[\w-]+$/.test(name) ? name : null;
+}
+
+// Shared elements: the same data-mkdocs-transition-name on both pages morphs one into the other
+function applyTransitionNames(doc) {
+    // "main" is already taken by the page itself
+    const seen = new Set(["main"]);
+    for (const element of doc.querySelectorAll("[data-mkdocs-transition-name]")) {
+        const name = element.getAttribute("data-mkdocs-transition-name");
+        
+        // A repeated name makes the browser abandon the whole transition
+        if (seen.has(name)) {
+            console.warn(`[mkdocs] Ignoring duplicate transition name "${name}"`);
+            continue;
+        }
+        seen.add(name);
+        element.style.viewTransitionName = name;
+    }
+}
+
+// Incoming pages are named before they're swapped in, so only the first page needs it on load
+document.addEventListener("DOMContentLoaded", () => applyTransitionNames(document));
+document.addEventListener(BEFORE_SWAP, event => applyTransitionNames(event.newDocument));
+
+// Enhanced navigation with form support
+async function navigate(url, options = {}) {
+    await navigateToPage("forward", currentLocation, withSearchQuery(new URL(url, location.href)), options);
+}
+
+// Popstate handler for browser back/forward
+function handlePopState(event) {
+    if (event.state === null) return;
+    
+    const state = history.state;
+    const index = state.index;
+    const direction = index > navigationIndex ? "forward" : "back";
+    
+    navigationIndex = index;
+    
+    // Entries pushed for in-page anchors stay on this page, with or without view transitions
+    if (currentLocation && currentLocation.pathname === location.pathname && currentLocation.search === location.search) {
+        abortPendingNavigation();
+        currentLocation = new URL(location.href);
+        scrollTo({ left: state.scrollX, top: state.scrollY, behavior: "instant" });
+        return;
+    }
+    
+    if (!isViewTransitionsEnabled()) {
+        location.reload();
+        return;
+    }
+    
+    navigateToPage(direction, currentLocation, new URL(location.href), {}, state);
+}
+
+// Scroll position tracking
+const trackScrollPosition = () => {
+    if (history.state && (window.scrollX !== history.state.scrollX || window.scrollY !== history.state.scrollY)) {
+        updateHistoryState({ scrollX: window.scrollX, scrollY: window.scrollY });
+    }
+};
 
 // Initialize enhanced navigation
 if (supportsViewTransitions || getFallbackAnimation() !== "none") {
     currentLocation = new URL(location.href);
     addEventListener("popstate", handlePopState);
     addEventListener("load", dispatchPageLoad);
+    addEventListener("load", cacheInitialPage);
     
     // Scroll tracking
     if ("onscrollend" in window) {
@@ -794,26 +1640,72 @@ document.addEventListener("submit", (event) => {
 });
 
 // Initialize prefetching
-initializePrefetch({ prefetchAll: true });
+initializePrefetch({ prefetchAll: true, ...readPrefetchMeta() });
 
 // MkDocs-specific enhancements
-document.addEventListener('DOMContentLoaded', function() {
-    // Smooth scrolling for anchor links
-    const links = document.querySelectorAll('a[href^="#"]');
-    links.forEach(link => {
-        link.addEventListener('click', function(e) {
-            e.preventDefault();
-            const target = document.querySelector(this.getAttribute('href'));
-            if (target) {
-                target.scrollIntoView({
-                    behavior: 'smooth',
-                    block: 'start'
-                });
-            }
-        });
-    });
+// Content enhancements. Each one sets itself up on every mkdocs:page-load and tears down on
+// mkdocs:before-swap, so pages swapped in by navigateToPage() get the same treatment as the first.
+// A setup function may return a teardown function for its observers and listeners.
+const enhancements = new Map();
+const activeEnhancements = new Map();
+let enhancementsReady = false;
+
+function registerEnhancement(name, setup) {
+    if (typeof setup !== 'function') {
+        throw new TypeError(`Enhancement "${name}" needs a setup function`);
+    }
+    
+    // Registering a name again replaces the old module, so re-executed scripts don't stack up
+    teardownEnhancement(name);
+    enhancements.set(name, setup);
+    if (enhancementsReady) runEnhancement(name, setup);
+}
+
+function runEnhancement(name, setup) {
+    try {
+        const teardown = setup(document);
+        activeEnhancements.set(name, typeof teardown === 'function' ? teardown : null);
+    } catch (error) {
+        console.error(`Enhancement "${name}" failed:`, error);
+    }
+}
+
+function teardownEnhancement(name) {
+    if (!activeEnhancements.has(name)) return;
+    
+    const teardown = activeEnhancements.get(name);
+    activeEnhancements.delete(name);
+    try {
+        teardown?.();
+    } catch (error) {
+        console.error(`Enhancement "${name}" failed to tear down:`, error);
+    }
+}
+
+// mkdocs:page-load can fire twice for one page, so modules that are already running are left alone
+function initializeEnhancements() {
+    enhancementsReady = true;
+    for (const [name, setup] of enhancements) {
+        if (!activeEnhancements.has(name)) runEnhancement(name, setup);
+    }
+}
+
+function teardownEnhancements() {
+    enhancementsReady = false;
+    for (const name of Array.from(activeEnhancements.keys())) {
+        teardownEnhancement(name);
+    }
+}
+
+document.addEventListener('mkdocs:page-load', initializeEnhancements);
+document.addEventListener(BEFORE_SWAP, teardownEnhancements);
 
-    // Active navigation highlighting
+// Registered first, so the reading position hashes the page text before the other
+// enhancements add their buttons, counts and toolbars to .content
+registerEnhancement('reading-position', initializeReadingPosition);
+
+// Active navigation highlighting
+registerEnhancement('active-navigation', () => {
     const currentPath = window.location.pathname;
     const navLinks = document.querySelectorAll('.navbar a');
     navLinks.forEach(link => {
@@ -821,50 +1713,18 @@ document.addEventListener('DOMContentLoaded', function() {
             link.classList.add('active');
         }
     });
+});
 
-    // Search functionality enhancement
-    const searchInput = document.querySelector('.search-input');
-    if (searchInput) {
-        searchInput.addEventListener('input', function() {
-            const query = this.value.toLowerCase();
-            const content = document.querySelector('.content');
-            if (content && query.length > 2) {
-                highlightSearchTerms(content, query);
-            }
-        });
-    }
-
-    // Mobile menu toggle
-    const mobileMenuToggle = document.querySelector('.mobile-menu-toggle');
-    const navbar = document.querySelector('.navbar ul');
-    if (mobileMenuToggle && navbar) {
-        mobileMenuToggle.addEventListener('click', function() {
-            navbar.classList.toggle('show');
-        });
-    }
-
-    // Enhanced image lazy loading
-    const images = document.querySelectorAll('img[data-src]');
-    const imageObserver = new IntersectionObserver((entries, observer) => {
-        entries.forEach(entry => {
-            if (entry.isIntersecting) {
-                const img = entry.target;
-                img.src = img.dataset.src;
-                img.classList.remove('lazy');
-                img.classList.add('loaded');
-                observer.unobserve(img);
-            }
-        });
-    }, {
-        rootMargin: '50px 0px',
-        threshold: 0.01
-    });
-
-    images.forEach(img => imageObserver.observe(img));
+// Mobile navigation drawer
+registerEnhancement('mobile-menu', initializeMobileDrawer);
 
-    // Enhanced code block functionality
+// Enhanced code block functionality
+registerEnhancement('code-blocks', () => {
     const codeBlocks = document.querySelectorAll('pre code');
-    codeBlocks.forEach(block => {
+    codeBlocks.forEach((block, index) => {
+        if (block.closest('.code-block-wrapper')) return;
+        enhanceCodeBlock(block, index + 1);
+        
         const container = block.parentNode;
         const wrapper = document.createElement('div');
         wrapper.className = 'code-block-wrapper';
@@ -879,7 +1739,7 @@ document.addEventListener('DOMContentLoaded', function() {
         
         copyButton.addEventListener('click', async () => {
             try {
-                await navigator.clipboard.writeText(block.textContent);
+                await navigator.clipboard.writeText(getCodeCopyText(block));
                 copyButton.textContent = 'Copied!';
                 copyButton.classList.add('copied');
                 setTimeout(() => {
@@ -901,14 +1761,19 @@ document.addEventListener('DOMContentLoaded', function() {
         container.parentNode.insertBefore(wrapper, container);
         wrapper.appendChild(container);
     });
+});
 
-    // Table enhancements
+// Table enhancements
+registerEnhancement('tables', () => {
     const tables = document.querySelectorAll('table');
-    tables.forEach(table => {
+    tables.forEach((table, index) => {
+        if (table.closest('.table-wrapper')) return;
+        
         const wrapper = document.createElement('div');
         wrapper.className = 'table-wrapper';
         table.parentNode.insertBefore(wrapper, table);
         wrapper.appendChild(table);
+        enhanceTable(table, index + 1, wrapper);
         
         // Add responsive scroll indicator
         const scrollIndicator = document.createElement('div');
@@ -938,57 +1803,52 @@ document.addEventListener('DOMContentLoaded', function() {
         // Trigger initial scroll check
         wrapper.dispatchEvent(new Event('scroll'));
     });
+});
 
-    // Enhanced table of contents
-    const tocLinks = document.querySelectorAll('.contents a[href^="#"]');
-    const sections = Array.from(tocLinks).map(link => {
-        const id = link.getAttribute('href').slice(1);
-        return document.getElementById(id);
-    }).filter(Boolean);
-
-    if (sections.length > 0) {
-        const tocObserver = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                const id = entry.target.id;
-                const tocLink = document.querySelector(`.contents a[href="#${id}"]`);
-                
-                if (entry.isIntersecting) {
-                    tocLink?.classList.add('active');
-                } else {
-                    tocLink?.classList.remove('active');
-                }
-            });
-        }, {
-            rootMargin: '-20% 0px -70% 0px',
-            threshold: 0
+// Enhanced table of contents
+registerEnhancement('table-of-contents', initializeTableOfContents);
+
+// Lazy images
+registerEnhancement('lazy-images', () => {
+    initializeLazyImages();
+    return teardownLazyImages;
+});
+
+document.addEventListener('DOMContentLoaded', function() {
+    // Search functionality enhancement
+    const searchInput = document.querySelector('.search-input');
+    if (searchInput) {
+        searchInput.addEventListener('input', function() {
+            const query = this.value.toLowerCase();
+            const content = document.querySelector('.content');
+            if (content && query.length > 2) {
+                highlightSearchTerms(content, query);
+            } else if (activeSearchQuery) {
+                clearSearchHighlights();
+            }
         });
 
-        sections.forEach(section => tocObserver.observe(section));
+        initializeSiteSearch(searchInput);
+        
+        // Enter / Shift+Enter step through the matches on the page
+        searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.defaultPrevented) {
+                e.preventDefault();
+                stepSearchMatch(e.shiftKey ? -1 : 1);
+            }
+        });
     }
 
-    // Keyboard navigation enhancements
+    // Keyboard navigation enhancements (the remappable shortcuts live in the keymap)
     document.addEventListener('keydown', (event) => {
-        // Alt + Arrow keys for page navigation
-        if (event.altKey && !event.ctrlKey && !event.shiftKey) {
-            const navLinks = Array.from(document.querySelectorAll('.navbar a'));
-            const currentIndex = navLinks.findIndex(link => 
-                link.classList.contains('active') || 
-                link.href === window.location.href
-            );
-            
-            if (event.key === 'ArrowLeft' && currentIndex > 0) {
-                event.preventDefault();
-                navLinks[currentIndex - 1].click();
-            } else if (event.key === 'ArrowRight' && currentIndex < navLinks.length - 1) {
-                event.preventDefault();
-                navLinks[currentIndex + 1].click();
-            }
-        }
-        
         // Escape key to close search or other overlays
         if (event.key === 'Escape') {
             const searchInput = document.querySelector('.search-input');
-            if (searchInput && document.activeElement === searchInput) {
+            if (isLightboxOpen()) {
+                closeLightbox();
+            } else if (isMobileDrawerOpen()) {
+                closeMobileDrawer();
+            } else if (searchInput && document.activeElement === searchInput) {
                 searchInput.blur();
                 clearSearchHighlights();
             }
@@ -1023,116 +1883,2755 @@ document.addEventListener('DOMContentLoaded', function() {
     dispatchPageLoad();
 });
 
-// Enhanced search functionality
-function highlightSearchTerms(element, query) {
-    // Clear previous highlights
-    clearSearchHighlights();
+// Table of contents: a collapsible tree whose scroll spy marks exactly one current section
+function initializeTableOfContents() {
+    const toc = document.querySelector('.contents');
+    if (!toc) return;
     
-    const walker = document.createTreeWalker(
-        element,
-        NodeFilter.SHOW_TEXT,
-        {
-            acceptNode: function(node) {
-                return node.parentNode.tagName === 'SCRIPT' || 
-                       node.parentNode.tagName === 'STYLE' ||
-                       node.parentNode.classList.contains('search-highlight')
-                       ? NodeFilter.FILTER_REJECT 
-                       : NodeFilter.FILTER_ACCEPT;
-            }
-        },
-        false
-    );
+    const entries = Array.from(toc.querySelectorAll('a[href^="#"]'), link => ({
+        link,
+        heading: document.getElementById(link.getAttribute('href').slice(1))
+    })).filter(entry => entry.heading);
+    if (!entries.length) return;
+    
+    let frame = null;
+    const update = () => {
+        frame = null;
+        setCurrentTocEntry(toc, findCurrentTocEntry(entries));
+    };
+    const scheduleUpdate = () => {
+        frame ??= requestAnimationFrame(update);
+    };
+    
+    addEventListener('scroll', scheduleUpdate, { passive: true });
+    addEventListener('resize', scheduleUpdate, { passive: true });
+    update();
+    
+    return () => {
+        removeEventListener('scroll', scheduleUpdate);
+        removeEventListener('resize', scheduleUpdate);
+        if (frame !== null) cancelAnimationFrame(frame);
+    };
+}
 
-    const textNodes = [];
-    let node;
-    while (node = walker.nextNode()) {
-        textNodes.push(node);
+function findCurrentTocEntry(entries) {
+    // Once scrolled to the bottom, the last section wins even if its heading can't reach the top
+    const root = document.documentElement;
+    if (window.scrollY > 0 && window.innerHeight + window.scrollY >= root.scrollHeight - 2) {
+        return entries[entries.length - 1];
     }
+    
+    // Otherwise it's the last heading scrolled past the top fifth of the viewport
+    const threshold = window.innerHeight * 0.2;
+    let current = entries[0];
+    for (const entry of entries) {
+        if (entry.heading.getBoundingClientRect().top > threshold) break;
+        current = entry;
+    }
+    return current;
+}
 
-    let matchCount = 0;
-    textNodes.forEach(textNode => {
-        const text = textNode.textContent;
-        const regex = new RegExp(`(${escapeRegExp(query)})`, 'gi');
-        
-        if (regex.test(text)) {
-            const highlightedText = text.replace(regex, '<mark class="search-highlight">$1</mark>');
-            const wrapper = document.createElement('span');
-            wrapper.innerHTML = highlightedText;
-            textNode.parentNode.replaceChild(wrapper, textNode);
-            matchCount += (text.match(regex) || []).length;
-        }
-    });
+function setCurrentTocEntry(toc, entry) {
+    const previous = toc.querySelector('a.active');
+    if (previous === entry.link) return;
+    
+    previous?.classList.remove('active');
+    previous?.removeAttribute('aria-current');
+    toc.querySelectorAll('.toc-item.contains-active').forEach(item => item.classList.remove('contains-active'));
+    
+    entry.link.classList.add('active');
+    entry.link.setAttribute('aria-current', 'location');
+    
+    // Open every collapsed ancestor so the current entry is visible
+    let item = entry.link.closest('.toc-item')?.parentElement.closest('.toc-item');
+    while (item) {
+        item.classList.add('contains-active');
+        setTocItemExpanded(item, true);
+        item = item.parentElement.closest('.toc-item');
+    }
+    
+    keepTocLinkInView(toc, entry.link);
+}
 
-    // Update search results indicator
-    updateSearchResults(matchCount, query);
+function setTocItemExpanded(item, expanded) {
+    item.classList.toggle('collapsed', !expanded);
+    item.querySelector(':scope > .toc-toggle')?.setAttribute('aria-expanded', expanded);
 }
 
-function clearSearchHighlights() {
-    const highlights = document.querySelectorAll('.search-highlight');
-    highlights.forEach(highlight => {
-        const parent = highlight.parentNode;
-        parent.replaceChild(document.createTextNode(highlight.textContent), highlight);
-        parent.normalize();
-    });
-    
-    updateSearchResults(0, '');
+// Scrolls the sticky sidebar itself, never the page
+function keepTocLinkInView(toc, link) {
+    const tocRect = toc.getBoundingClientRect();
+    const linkRect = link.getBoundingClientRect();
+    if (linkRect.top < tocRect.top || linkRect.bottom > tocRect.bottom) {
+        toc.scrollTop += linkRect.top - tocRect.top - (toc.clientHeight - linkRect.height) / 2;
+    }
 }
 
-function updateSearchResults(count, query) {
-    let indicator = document.querySelector('.search-results-indicator');
-    if (!indicator) {
-        indicator = document.createElement('div');
-        indicator.className = 'search-results-indicator';
-        const searchInput = document.querySelector('.search-input');
-        if (searchInput) {
-            searchInput.parentNode.appendChild(indicator);
-        }
+document.addEventListener('click', (event) => {
+    const toggle = event.target.closest?.('.toc-toggle');
+    if (toggle) {
+        setTocItemExpanded(toggle.parentElement, toggle.getAttribute('aria-expanded') !== 'true');
     }
-    
-    if (count > 0) {
-        indicator.textContent = `${count} match${count !== 1 ? 'es' : ''} found for "${query}"`;
-        indicator.style.display = 'block';
-    } else if (query) {
-        indicator.textContent = `No matches found for "${query}"`;
-        indicator.style.display = 'block';
-    } else {
-        indicator.style.display = 'none';
+});
+
+// Reading position, saved per page against the nearest heading so it survives layout changes.
+// Each entry carries a hash of the page text and is dropped once the content changes.
+const READING_STORAGE_KEY = 'reading-positions';
+const MAX_READING_POSITIONS = 50;
+let readingPage = null;
+let readingSaveTimer, readingFrame = null;
+let readingProgressBar = null;
+
+function loadReadingPositions() {
+    try {
+        return JSON.parse(localStorage.getItem(READING_STORAGE_KEY)) ?? {};
+    } catch {
+        return {};
     }
 }
 
-function escapeRegExp(string) {
-    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\        // Ad');
+function storeReadingPositions(positions) {
+    // Forget the least recently read pages first
+    const entries = Object.entries(positions)
+        .sort(([, a], [, b]) => b.time - a.time)
+        .slice(0, MAX_READING_POSITIONS);
+    localStorage.setItem(READING_STORAGE_KEY, JSON.stringify(Object.fromEntries(entries)));
 }
 
-// Theme management
-function toggleTheme() {
-    document.body.classList.toggle('dark-theme');
-    const isDark = document.body.classList.contains('dark-theme');
-    localStorage.setItem('theme', isDark ? 'dark' : 'light');
-    
-    // Dispatch theme change event
-    document.dispatchEvent(new CustomEvent('themechange', {
-        detail: { theme: isDark ? 'dark' : 'light' }
-    }));
+function hashText(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = (hash * 33) ^ text.charCodeAt(i);
+    }
+    return (hash >>> 0).toString(36);
 }
 
-function initializeTheme() {
-    const savedTheme = localStorage.getItem('theme');
-    const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+function getHeadingText(heading) {
+    return Array.from(heading.childNodes)
+        .filter(node => !node.classList?.contains('headerlink'))
+        .map(node => node.textContent)
+        .join('')
+        .trim();
+}
+
+// The last heading whose top has scrolled under the sticky navbar
+function findReadingHeading(headings) {
+    let current = null;
+    for (const heading of headings) {
+        if (heading.getBoundingClientRect().top > 80) break;
+        current = heading;
+    }
+    return current;
+}
+
+function getReadingProgress() {
+    const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+    return scrollable > 0 ? Math.min(1, Math.max(0, window.scrollY / scrollable)) : 0;
+}
+
+function initializeReadingPosition() {
+    const content = document.querySelector('.content');
+    readingPage = null;
+    document.querySelector('.reading-resume')?.remove();
+    if (!content) return;
+    
+    readingPage = {
+        key: getPageCacheKey(location.href),
+        hash: hashText(content.textContent),
+        headings: Array.from(content.querySelectorAll(':is(h1, h2, h3, h4, h5, h6)[id]'))
+    };
+    updateReadingProgress();
+    
+    const positions = loadReadingPositions();
+    const saved = positions[readingPage.key];
+    if (!saved) return;
     
-    if (savedTheme === 'dark' || (!savedTheme && prefersDark)) {
-        document.body.classList.add('dark-theme');
+    if (saved.hash !== readingPage.hash) {
+        delete positions[readingPage.key];
+        storeReadingPositions(positions);
+        return;
     }
     
-    // Listen for system theme changes
-    window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
-        if (!localStorage.getItem('theme')) {
-            document.body.classList.toggle('dark-theme', e.matches);
-        }
+    // Deep links and restored history entries already put the reader somewhere
+    const heading = document.getElementById(saved.heading);
+    if (heading && !location.hash && window.scrollY === 0) {
+        showReadingResume(content, heading);
+    }
+}
+
+function showReadingResume(content, heading) {
+    const prompt = document.createElement('div');
+    prompt.className = 'reading-resume';
+    prompt.setAttribute('role', 'status');
+    
+    const resume = document.createElement('button');
+    resume.type = 'button';
+    resume.className = 'reading-resume-continue';
+    resume.textContent = `Continue from '${getHeadingText(heading)}'`;
+    resume.addEventListener('click', () => {
+        prompt.remove();
+        heading.scrollIntoView({ behavior: 'smooth', block: 'start' });
     });
+    
+    const dismiss = document.createElement('button');
+    dismiss.type = 'button';
+    dismiss.className = 'reading-resume-dismiss';
+    dismiss.setAttribute('aria-label', 'Dismiss');
+    dismiss.textContent = '×';
+    dismiss.addEventListener('click', () => prompt.remove());
+    
+    prompt.append(resume, dismiss);
+    content.prepend(prompt);
 }
 
-// Initialize theme on load
+function saveReadingPosition() {
+    clearTimeout(readingSaveTimer);
+    if (!readingPage) return;
+    
+    const positions = loadReadingPositions();
+    const heading = findReadingHeading(readingPage.headings);
+    
+    // Nothing worth resuming at the very top, and nothing left to read at the end
+    if (!heading || getReadingProgress() > 0.98) {
+        if (!(readingPage.key in positions)) return;
+        delete positions[readingPage.key];
+    } else {
+        positions[readingPage.key] = { heading: heading.id, hash: readingPage.hash, time: Date.now() };
+    }
+    storeReadingPositions(positions);
+}
+
+function updateReadingProgress() {
+    readingFrame = null;
+    if (!readingProgressBar) {
+        readingProgressBar = document.createElement('div');
+        readingProgressBar.className = 'reading-progress';
+        readingProgressBar.setAttribute('role', 'progressbar');
+        readingProgressBar.setAttribute('aria-label', 'Reading progress');
+        readingProgressBar.setAttribute('aria-valuemin', '0');
+        readingProgressBar.setAttribute('aria-valuemax', '100');
+        // Lives outside <body> so swapDocument() leaves it alone
+        document.documentElement.append(readingProgressBar);
+    }
+    
+    const progress = readingPage ? getReadingProgress() : 0;
+    readingProgressBar.style.transform = `scaleX(${progress})`;
+    readingProgressBar.setAttribute('aria-valuenow', Math.round(progress * 100));
+}
+
+function handleReadingScroll() {
+    readingFrame ??= requestAnimationFrame(updateReadingProgress);
+    clearTimeout(readingSaveTimer);
+    readingSaveTimer = setTimeout(saveReadingPosition, 500);
+}
+
+addEventListener('scroll', handleReadingScroll, { passive: true });
+addEventListener('resize', handleReadingScroll, { passive: true });
+addEventListener('pagehide', saveReadingPosition);
+document.addEventListener(BEFORE_PREPARATION, saveReadingPosition);
+
+// Lazy images: data-src, data-srcset and data-sizes on <img>, plus data-srcset on <picture> sources.
+// data-placeholder (a tiny image) or data-color fills the box until the real image loads,
+// and data-fallback replaces an image that fails to load.
+const supportsNativeLazyLoading = 'loading' in HTMLImageElement.prototype;
+const IMAGE_FALLBACK = 'data:image/svg+xml,' + encodeURIComponent(
+    '<svg xmlns="http://www.w3.org/2000/svg" width="320" height="180" viewBox="0 0 320 180">' +
+    '<rect width="320" height="180" fill="#e0e0e0"/>' +
+    '<text x="160" y="95" font-family="sans-serif" font-size="14" fill="#666" text-anchor="middle">Image unavailable</text></svg>'
+);
+let lazyImageObserver = null;
+
+function initializeLazyImages() {
+    const images = new Set(document.querySelectorAll('img[data-src], img[data-srcset]'));
+    for (const source of document.querySelectorAll('picture source[data-srcset]')) {
+        const img = source.parentElement.querySelector('img');
+        if (img) images.add(img);
+    }
+    
+    for (const img of images) {
+        if (img.dataset.lazyState) continue;
+        img.dataset.lazyState = 'pending';
+        prepareLazyImage(img);
+        
+        // Browsers with native lazy loading defer the request themselves
+        if (supportsNativeLazyLoading || !('IntersectionObserver' in window)) {
+            img.loading = 'lazy';
+            loadLazyImage(img);
+        } else {
+            lazyImageObserver ??= new IntersectionObserver((entries, observer) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        observer.unobserve(entry.target);
+                        loadLazyImage(entry.target);
+                    }
+                });
+            }, {
+                rootMargin: '50px 0px',
+                threshold: 0.01
+            });
+            lazyImageObserver.observe(img);
+        }
+    }
+}
+
+function prepareLazyImage(img) {
+    img.classList.add('lazy');
+    if (img.dataset.placeholder || img.dataset.color) {
+        img.classList.add('lazy-placeholder');
+        if (img.dataset.placeholder) img.style.backgroundImage = `url("${img.dataset.placeholder}")`;
+        if (img.dataset.color) img.style.backgroundColor = img.dataset.color;
+    }
+}
+
+function loadLazyImage(img) {
+    img.addEventListener('load', () => finishLazyImage(img), { once: true });
+    img.addEventListener('error', () => handleLazyImageError(img), { once: true });
+    
+    const picture = img.parentElement?.tagName === 'PICTURE' ? img.parentElement : null;
+    for (const source of picture?.querySelectorAll('source[data-srcset]') ?? []) {
+        if (source.dataset.sizes) source.sizes = source.dataset.sizes;
+        source.srcset = source.dataset.srcset;
+    }
+    
+    // sizes before srcset, and srcset before src, so the browser picks a candidate only once
+    if (img.dataset.sizes) img.sizes = img.dataset.sizes;
+    if (img.dataset.srcset) img.srcset = img.dataset.srcset;
+    if (img.dataset.src) img.src = img.dataset.src;
+    
+    // Already in the cache
+    if (img.complete && img.naturalWidth) finishLazyImage(img);
+}
+
+function finishLazyImage(img) {
+    if (img.dataset.lazyState === 'loaded') return;
+    img.dataset.lazyState = 'loaded';
+    img.classList.remove('lazy', 'lazy-placeholder');
+    img.classList.add('loaded');
+    img.style.backgroundImage = '';
+    img.style.backgroundColor = '';
+}
+
+function handleLazyImageError(img) {
+    // Only ever fall back once, in case the fallback is broken too
+    if (img.dataset.lazyState === 'failed') return;
+    img.dataset.lazyState = 'failed';
+    
+    img.removeAttribute('srcset');
+    // A <picture>'s own <source>s would otherwise keep overriding the fallback src
+    if (img.parentElement instanceof HTMLPictureElement) {
+        img.parentElement.querySelectorAll(':scope > source').forEach(source => source.remove());
+    }
+    img.src = img.dataset.fallback || IMAGE_FALLBACK;
+    img.classList.remove('lazy', 'lazy-placeholder');
+    img.classList.add('loaded', 'lazy-failed');
+    img.style.backgroundImage = '';
+}
+
+function teardownLazyImages() {
+    lazyImageObserver?.disconnect();
+    lazyImageObserver = null;
+}
+
+// Code blocks: language-* classes pick a highlighter, and every line is addressable
+// as #code-N-Lx or #code-N-Lx-Ly (N counts code blocks on the page from 1)
+const codeConfig = {
+    lineNumbers: /^(true|on|yes)$/i.test(document.querySelector('meta[name="mkdocs-code-line-numbers"]')?.getAttribute('content') ?? '')
+};
+
+const CODE_LINE_HASH = /^#code-(\d+)-L(\d+)(?:-L(\d+))?$/;
+
+// Each language is an ordered list of [token type, sticky pattern, character it can't follow (optional)];
+// the first match at a position wins. No lookbehind: older Safari can't parse it, and would lose the whole script
+const JS_KEYWORDS = 'as|async|await|break|case|catch|class|const|continue|debugger|default|delete|do|else|export|extends|finally|for|from|function|get|if|import|in|instanceof|interface|let|new|of|return|set|static|super|switch|this|throw|try|type|typeof|var|void|while|with|yield';
+const CODE_LANGUAGES = {
+    javascript: [
+        ['comment', /\/\/.*|\/\*[\s\S]*?\*\//y],
+        ['string', /`(?:\\[\s\S]|[^\\`])*`|"(?:\\.|[^\\"\n])*"|'(?:\\.|[^\\'\n])*'/y],
+        ['keyword', new RegExp(`\\b(?:${JS_KEYWORDS})\\b`, 'y')],
+        ['literal', /\b(?:true|false|null|undefined|NaN|Infinity)\b/y],
+        ['number', /\b(?:0[xXbBoO][\da-fA-F_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?n?)\b/y],
+        ['function', /[A-Za-z_$][\w$]*(?=\s*\()/y]
+    ],
+    python: [
+        ['comment', /#.*/y],
+        ['string', /(?:[rRbBfFuU]{1,2})?(?:"""[\s\S]*?"""|'''[\s\S]*?'''|"(?:\\.|[^\\"\n])*"|'(?:\\.|[^\\'\n])*')/y],
+        ['keyword', /\b(?:and|as|assert|async|await|break|class|continue|def|del|elif|else|except|finally|for|from|global|if|import|in|is|lambda|match|nonlocal|not|or|pass|raise|return|try|while|with|yield)\b/y],
+        ['literal', /\b(?:True|False|None|self)\b/y],
+        ['number', /\b\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?j?\b/y],
+        ['function', /@[\w.]+|[A-Za-z_]\w*(?=\s*\()/y]
+    ],
+    bash: [
+        ['comment', /#.*/y, /[\w$]/],
+        ['string', /"(?:\\[\s\S]|[^\\"])*"|'[^']*'/y],
+        ['variable', /\$(?:\{[^}\n]*\}|\w+|[@#?$!*-])/y],
+        ['keyword', /\b(?:if|then|else|elif|fi|for|while|until|do|done|case|esac|in|function|return|export|local|readonly|source)\b/y],
+        ['number', /\b\d+\b/y]
+    ],
+    json: [
+        ['property', /"(?:\\.|[^\\"\n])*"(?=\s*:)/y],
+        ['string', /"(?:\\.|[^\\"\n])*"/y],
+        ['literal', /\b(?:true|false|null)\b/y],
+        ['number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/y]
+    ],
+    css: [
+        ['comment', /\/\*[\s\S]*?\*\//y],
+        ['string', /"(?:\\.|[^\\"\n])*"|'(?:\\.|[^\\'\n])*'/y],
+        ['keyword', /@[\w-]+|!important\b/y],
+        ['property', /--[\w-]+|[a-z-]+(?=\s*:[^{;]*;)/y],
+        ['literal', /#[\da-fA-F]{3,8}\b/y],
+        ['number', /-?(?:\d*\.)?\d+(?:px|em|rem|%|vh|vw|s|ms|deg|fr)?\b/y]
+    ],
+    html: [
+        ['comment', /<!--[\s\S]*?-->/y],
+        ['tag', /<\/?[\w-]+|\/?>/y],
+        ['attribute', /[\w:-]+(?==["'])/y],
+        ['string', /"[^"\n]*"|'[^'\n]*'/y]
+    ],
+    yaml: [
+        ['comment', /#.*/y, /\S/],
+        ['property', /[\w][\w .-]*(?=:(?:\s|$))/y],
+        ['string', /"(?:\\.|[^\\"\n])*"|'(?:''|[^'\n])*'/y],
+        ['literal', /\b(?:true|false|null|yes|no|on|off)\b|~/y],
+        ['number', /-?\b\d+(?:\.\d+)?\b/y]
+    ]
+};
+
+const CODE_LANGUAGE_ALIASES = {
+    js: 'javascript', jsx: 'javascript', ts: 'javascript', typescript: 'javascript', mjs: 'javascript',
+    py: 'python', python3: 'python',
+    sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash',
+    jsonc: 'json',
+    xml: 'html', svg: 'html', xhtml: 'html',
+    yml: 'yaml'
+};
+
+function detectCodeLanguage(block) {
+    const match = `${block.className} ${block.parentElement?.className ?? ''}`.match(/\blang(?:uage)?-([\w+#-]+)/);
+    if (!match) return null;
+    const name = match[1].toLowerCase();
+    return CODE_LANGUAGE_ALIASES[name] ?? name;
+}
+
+function tokenizeCode(text, rules) {
+    const tokens = [];
+    const plain = /[A-Za-z_$][\w$]*|\s+|[\s\S]/y;
+    let position = 0;
+    
+    const push = (type, value) => {
+        const last = tokens[tokens.length - 1];
+        if (!type && last && !last.type) {
+            last.text += value;
+        } else {
+            tokens.push({ type, text: value });
+        }
+    };
+    
+    while (position < text.length) {
+        let matched = false;
+        for (const [type, pattern, notAfter] of rules) {
+            if (notAfter && position > 0 && notAfter.test(text[position - 1])) continue;
+            pattern.lastIndex = position;
+            const match = pattern.exec(text);
+            if (match && match[0]) {
+                push(type, match[0]);
+                position += match[0].length;
+                matched = true;
+                break;
+            }
+        }
+        if (!matched) {
+            plain.lastIndex = position;
+            const value = plain.exec(text)[0];
+            push(null, value);
+            position += value.length;
+        }
+    }
+    return tokens;
+}
+
+function enhanceCodeBlock(block, number) {
+    const pre = block.parentElement;
+    const language = detectCodeLanguage(block);
+    const rules = CODE_LANGUAGES[language];
+    const text = block.textContent.replace(/\n$/, '');
+    const tokens = rules ? tokenizeCode(text, rules) : [{ type: null, text }];
+    const showNumbers = codeConfig.lineNumbers || block.classList.contains('line-numbers') || pre.classList.contains('line-numbers');
+    
+    pre.id ||= `code-${number}`;
+    pre.dataset.codeBlock = number;
+    if (language) pre.dataset.language = language;
+    pre.classList.toggle('line-numbers', showNumbers);
+    
+    // Each line becomes its own element so it can be numbered and highlighted; tokens may span lines
+    const lines = [];
+    let line = createCodeLine(1, showNumbers);
+    for (const token of tokens) {
+        token.text.split('\n').forEach((part, i) => {
+            if (i > 0) {
+                line.append('\n');
+                lines.push(line);
+                line = createCodeLine(lines.length + 1, showNumbers);
+            }
+            if (!part) return;
+            if (token.type) {
+                const span = document.createElement('span');
+                span.className = `token-${token.type}`;
+                span.textContent = part;
+                line.append(span);
+            } else {
+                line.append(part);
+            }
+        });
+    }
+    line.append('\n');
+    lines.push(line);
+    block.replaceChildren(...lines);
+}
+
+function createCodeLine(number, showNumbers) {
+    const line = document.createElement('span');
+    line.className = 'code-line';
+    line.dataset.line = number;
+    if (showNumbers) {
+        // Drawn from the attribute so the number never ends up in copied text
+        const lineNumber = document.createElement('span');
+        lineNumber.className = 'code-line-number';
+        lineNumber.dataset.line = number;
+        lineNumber.setAttribute('aria-hidden', 'true');
+        line.append(lineNumber);
+    }
+    return line;
+}
+
+function getCodeCopyText(block) {
+    const selected = block.querySelectorAll('.code-line.highlighted');
+    const lines = selected.length ? selected : block.querySelectorAll('.code-line');
+    if (!lines.length) return block.textContent;
+    return Array.from(lines, line => line.textContent).join('').replace(/\n$/, '');
+}
+
+function highlightCodeLines(pre, start, end = start) {
+    document.querySelectorAll('.code-line.highlighted').forEach(line => line.classList.remove('highlighted'));
+    if (!pre) return [];
+    
+    if (start > end) [start, end] = [end, start];
+    const lines = Array.from(pre.querySelectorAll('.code-line'))
+        .filter(line => line.dataset.line >= start && line.dataset.line <= end);
+    lines.forEach(line => line.classList.add('highlighted'));
+    return lines;
+}
+
+function applyCodeLineHash() {
+    const match = location.hash.match(CODE_LINE_HASH);
+    if (!match) {
+        highlightCodeLines(null);
+        return;
+    }
+    
+    const [, block, start, end] = match.map(Number);
+    const lines = highlightCodeLines(document.querySelector(`pre[data-code-block="${block}"]`), start, end || start);
+    lines[0]?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+// Click a line number to link to it; shift-click extends the range from the last clicked line
+let codeLineAnchor = null;
+
+document.addEventListener('click', (event) => {
+    const lineNumber = event.target.closest?.('.code-line-number');
+    if (!lineNumber) return;
+    
+    const pre = lineNumber.closest('pre');
+    const line = Number(lineNumber.dataset.line);
+    const extending = event.shiftKey && codeLineAnchor?.pre === pre;
+    const start = extending ? codeLineAnchor.line : line;
+    if (!extending) {
+        codeLineAnchor = { pre, line };
+    }
+    
+    highlightCodeLines(pre, start, line);
+    const [from, to] = start <= line ? [start, line] : [line, start];
+    const url = new URL(location.href);
+    url.hash = from === to ? `code-${pre.dataset.codeBlock}-L${from}` : `code-${pre.dataset.codeBlock}-L${from}-L${to}`;
+    
+    replaceUrl(url);
+});
+
+document.addEventListener('mkdocs:page-load', applyCodeLineHash);
+addEventListener('hashchange', applyCodeLineHash);
+
+function configureCode(options) {
+    if (options.lineNumbers !== undefined) {
+        codeConfig.lineNumbers = Boolean(options.lineNumbers);
+    }
+}
+
+// Tables: header sorting, a filter box and CSV export. The state of the last table touched
+// is kept in the hash as #table-N?sort=C&order=desc&filter=text (N and C count from 1)
+const TABLE_HASH = /^#table-(\d+)(?:\?(.*))?$/;
+const tableStates = new WeakMap();
+
+// Leading number of "595,000 pairs", "~1.1 m" or "$20"; null when the cell doesn't start with one
+function parseTableNumber(text) {
+    const match = text.match(/^[~≈<>±$€£]?\s*(-?\d[\d,]*(?:\.\d+)?)/);
+    return match ? Number(match[1].replace(/,/g, '')) : null;
+}
+
+// Date.parse() alone accepts things like "Zone 12", so a cell only counts as a date when it's written
+// as one: 2024-03-12 (optionally with a time), or with a month name as in "12 March 2024" or "Mar 12, 2024"
+const TABLE_DATE_FORMATS = [
+    /^\d{4}-\d{2}(?:-\d{2})?(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/,
+    /^(?:\d{1,2}\s+)?(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?(?:\s+\d{1,2},?)?\s+\d{4}$/i
+];
+
+function isTableDate(text) {
+    return TABLE_DATE_FORMATS.some(format => format.test(text)) && !Number.isNaN(Date.parse(text));
+}
+
+function detectColumnType(rows, column) {
+    const values = rows.map(row => row.cells[column]?.textContent.trim() ?? '').filter(Boolean);
+    if (!values.length) return 'text';
+    // Dates first, since "2024-03-12" also starts with a number
+    if (values.every(isTableDate)) return 'date';
+    if (values.every(value => parseTableNumber(value) !== null)) return 'number';
+    return 'text';
+}
+
+// null for an empty (or unreadable) cell, which compareTableKeys() puts last
+function getTableSortKey(row, column, type) {
+    const text = row.cells[column]?.textContent.trim() ?? '';
+    if (!text) return null;
+    if (type === 'number') return parseTableNumber(text);
+    if (type === 'date') {
+        const time = Date.parse(text);
+        return Number.isNaN(time) ? null : time;
+    }
+    return text;
+}
+
+// Empty cells go last whichever way the column is sorted
+function compareTableKeys(a, b, type, direction, collator) {
+    if (a === null || b === null) return (a === null) - (b === null);
+    return direction * (type === 'text' ? collator.compare(a, b) : a - b);
+}
+
+function enhanceTable(table, number, wrapper) {
+    const body = table.tBodies[0];
+    const headerRow = table.tHead?.rows[0];
+    if (!body || !headerRow) return;
+    
+    wrapper.id ||= `table-${number}`;
+    wrapper.dataset.table = number;
+    
+    const state = {
+        number,
+        table,
+        wrapper,
+        rows: Array.from(body.rows),
+        sort: null,
+        order: 'asc',
+        filter: ''
+    };
+    tableStates.set(wrapper, state);
+    
+    Array.from(headerRow.cells).forEach((cell, column) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'table-sort';
+        button.append(...cell.childNodes);
+        button.addEventListener('click', () => {
+            // Cycles ascending → descending → original order
+            if (state.sort !== column) {
+                updateTable(state, { sort: column, order: 'asc' });
+            } else if (state.order === 'asc') {
+                updateTable(state, { order: 'desc' });
+            } else {
+                updateTable(state, { sort: null, order: 'asc' });
+            }
+            syncTableHash(state);
+        });
+        cell.append(button);
+        cell.setAttribute('aria-sort', 'none');
+    });
+    
+    const toolbar = document.createElement('div');
+    toolbar.className = 'table-toolbar';
+    
+    const filter = document.createElement('input');
+    filter.type = 'search';
+    filter.className = 'table-filter';
+    filter.placeholder = 'Filter rows...';
+    filter.setAttribute('aria-label', 'Filter table rows');
+    filter.setAttribute('aria-controls', wrapper.id);
+    let filterTimer;
+    filter.addEventListener('input', () => {
+        updateTable(state, { filter: filter.value });
+        clearTimeout(filterTimer);
+        filterTimer = setTimeout(() => syncTableHash(state), 300);
+    });
+    
+    const count = document.createElement('span');
+    count.className = 'table-row-count';
+    count.setAttribute('aria-live', 'polite');
+    
+    const download = document.createElement('button');
+    download.type = 'button';
+    download.className = 'table-download';
+    download.textContent = 'Download CSV';
+    download.addEventListener('click', () => downloadTableCsv(state));
+    
+    toolbar.append(filter, count, download);
+    wrapper.before(toolbar);
+    state.filterInput = filter;
+    state.count = count;
+    updateTable(state, {});
+}
+
+function updateTable(state, changes) {
+    Object.assign(state, changes);
+    const { table, rows, sort, order } = state;
+    const query = state.filter.trim().toLowerCase();
+    
+    let ordered = rows;
+    if (sort !== null) {
+        const type = detectColumnType(rows, sort);
+        const direction = order === 'desc' ? -1 : 1;
+        const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+        ordered = rows
+            .map(row => ({ row, key: getTableSortKey(row, sort, type) }))
+            .sort((a, b) => compareTableKeys(a.key, b.key, type, direction, collator))
+            .map(({ row }) => row);
+    }
+    table.tBodies[0].append(...ordered);
+    
+    // Striped by class, since :nth-child() would count the rows the filter hides
+    let visible = 0;
+    for (const row of ordered) {
+        row.hidden = Boolean(query) && !row.textContent.toLowerCase().includes(query);
+        if (!row.hidden) visible++;
+        row.classList.toggle('table-row-even', !row.hidden && visible % 2 === 0);
+    }
+    
+    Array.from(table.tHead.rows[0].cells).forEach((cell, column) => {
+        cell.setAttribute('aria-sort', column !== sort ? 'none' : order === 'desc' ? 'descending' : 'ascending');
+    });
+    state.filterInput.value = state.filter;
+    state.count.textContent = query ? `${visible} of ${rows.length} rows` : `${rows.length} rows`;
+}
+
+function syncTableHash(state) {
+    const params = new URLSearchParams();
+    if (state.sort !== null) {
+        params.set('sort', state.sort + 1);
+        if (state.order === 'desc') params.set('order', 'desc');
+    }
+    if (state.filter.trim()) params.set('filter', state.filter.trim());
+    
+    const url = new URL(location.href);
+    url.hash = params.toString() ? `table-${state.number}?${params}` : `table-${state.number}`;
+    if (url.href === location.href) return;
+    
+    replaceUrl(url);
+}
+
+function applyTableHash() {
+    const match = location.hash.match(TABLE_HASH);
+    if (!match) return;
+    
+    const wrapper = document.querySelector(`.table-wrapper[data-table="${match[1]}"]`);
+    const state = wrapper && tableStates.get(wrapper);
+    if (!state) return;
+    
+    const params = new URLSearchParams(match[2] ?? '');
+    const sort = Number(params.get('sort')) - 1;
+    updateTable(state, {
+        sort: sort >= 0 && sort < state.table.tHead.rows[0].cells.length ? sort : null,
+        order: params.get('order') === 'desc' ? 'desc' : 'asc',
+        filter: params.get('filter') ?? ''
+    });
+    wrapper.previousElementSibling?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function toCsvField(text) {
+    const value = text.replace(/\s+/g, ' ').trim();
+    return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+// Exports the rows as currently sorted and filtered
+function downloadTableCsv(state) {
+    const { table } = state;
+    const rows = [table.tHead.rows[0], ...Array.from(table.tBodies[0].rows).filter(row => !row.hidden)];
+    const csv = rows.map(row => Array.from(row.cells, cell => toCsvField(cell.textContent)).join(',')).join('\r\n');
+    
+    const page = location.pathname.split('/').filter(Boolean).pop() || 'index';
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+    link.download = `${page}-table-${state.number}.csv`;
+    document.body.append(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+document.addEventListener('mkdocs:page-load', applyTableHash);
+addEventListener('hashchange', applyTableHash);
+
+// Image lightbox for content images (not ones inside links), deep-linkable as #image-N (N counts from 1)
+const IMAGE_HASH = /^#image-(\d+)$/;
+const LIGHTBOX_MAX_SCALE = 4;
+// Pointer travel (px) beyond which a press counts as a drag rather than a click
+const LIGHTBOX_DRAG_THRESHOLD = 5;
+let lightbox = null;
+
+function getLightboxImages() {
+    return Array.from(document.querySelectorAll('.content img')).filter(img => !img.closest('a'));
+}
+
+function getImageCaption(img) {
+    const figcaption = img.closest('figure')?.querySelector('figcaption');
+    return (figcaption?.textContent || img.title || img.alt || '').trim();
+}
+
+function createLightbox() {
+    const element = document.createElement('div');
+    element.className = 'lightbox';
+    element.hidden = true;
+    element.setAttribute('role', 'dialog');
+    element.setAttribute('aria-modal', 'true');
+    element.setAttribute('aria-label', 'Image viewer');
+    element.innerHTML = `
+        <div class="lightbox-stage">
+            <img class="lightbox-image" alt="" draggable="false">
+        </div>
+        <p class="lightbox-caption"></p>
+        <span class="lightbox-counter" aria-live="polite"></span>
+        <div class="lightbox-controls">
+            <button type="button" data-lightbox-action="zoom-out" aria-label="Zoom out">−</button>
+            <button type="button" data-lightbox-action="zoom-in" aria-label="Zoom in">+</button>
+            <button type="button" data-lightbox-action="close" aria-label="Close">×</button>
+        </div>
+        <button type="button" class="lightbox-nav lightbox-prev" data-lightbox-action="prev" aria-label="Previous image">‹</button>
+        <button type="button" class="lightbox-nav lightbox-next" data-lightbox-action="next" aria-label="Next image">›</button>
+    `;
+    
+    const state = {
+        element,
+        stage: element.querySelector('.lightbox-stage'),
+        image: element.querySelector('.lightbox-image'),
+        caption: element.querySelector('.lightbox-caption'),
+        counter: element.querySelector('.lightbox-counter'),
+        images: [],
+        index: 0,
+        scale: 1,
+        x: 0,
+        y: 0,
+        dragged: false,
+        returnFocus: null
+    };
+    
+    element.addEventListener('click', (event) => {
+        // Pointer capture sends the click that ends a drag to the stage; that isn't a backdrop click
+        if (state.dragged) {
+            state.dragged = false;
+            if (event.target === state.stage) return;
+        }
+        const action = event.target.closest('[data-lightbox-action]')?.dataset.lightboxAction;
+        if (action === 'close' || event.target === element || event.target === state.stage) closeLightbox();
+        else if (action === 'prev') showLightboxImage(state.index - 1);
+        else if (action === 'next') showLightboxImage(state.index + 1);
+        else if (action === 'zoom-in') zoomLightbox(state.scale * 1.5);
+        else if (action === 'zoom-out') zoomLightbox(state.scale / 1.5);
+    });
+    
+    element.addEventListener('keydown', (event) => {
+        if (event.key === 'ArrowLeft') showLightboxImage(state.index - 1);
+        else if (event.key === 'ArrowRight') showLightboxImage(state.index + 1);
+        else if (event.key === '+' || event.key === '=') zoomLightbox(state.scale * 1.5);
+        else if (event.key === '-') zoomLightbox(state.scale / 1.5);
+        else if (event.key === '0') zoomLightbox(1);
+        else if (event.key === 'Tab') trapLightboxFocus(event);
+        else return;
+        if (event.key !== 'Tab') event.preventDefault();
+    });
+    
+    state.image.addEventListener('dblclick', () => zoomLightbox(state.scale > 1 ? 1 : 2));
+    state.stage.addEventListener('wheel', (event) => {
+        event.preventDefault();
+        zoomLightbox(state.scale * (event.deltaY < 0 ? 1.2 : 1 / 1.2));
+    }, { passive: false });
+    
+    // Drag pans a zoomed image; at normal size a horizontal swipe changes image
+    let pointer = null;
+    state.stage.addEventListener('pointerdown', (event) => {
+        pointer = { id: event.pointerId, startX: event.clientX, startY: event.clientY, x: state.x, y: state.y, moved: false };
+        state.dragged = false;
+        state.stage.setPointerCapture?.(event.pointerId);
+    });
+    state.stage.addEventListener('pointermove', (event) => {
+        if (pointer?.id !== event.pointerId) return;
+        if (Math.hypot(event.clientX - pointer.startX, event.clientY - pointer.startY) > LIGHTBOX_DRAG_THRESHOLD) {
+            pointer.moved = true;
+        }
+        if (state.scale === 1) return;
+        state.x = pointer.x + event.clientX - pointer.startX;
+        state.y = pointer.y + event.clientY - pointer.startY;
+        updateLightboxTransform();
+    });
+    state.stage.addEventListener('pointerup', (event) => {
+        if (pointer?.id !== event.pointerId) return;
+        const dx = event.clientX - pointer.startX;
+        const dy = event.clientY - pointer.startY;
+        state.dragged = pointer.moved || Math.hypot(dx, dy) > LIGHTBOX_DRAG_THRESHOLD;
+        pointer = null;
+        if (state.scale === 1 && Math.abs(dx) > 50 && Math.abs(dx) > Math.abs(dy)) {
+            showLightboxImage(state.index + (dx < 0 ? 1 : -1));
+        }
+    });
+    state.stage.addEventListener('pointercancel', () => {
+        pointer = null;
+    });
+    
+    document.body.append(element);
+    return state;
+}
+
+function openLightbox(index) {
+    const images = getLightboxImages();
+    if (!images[index]) return;
+    
+    if (!lightbox?.element.isConnected) {
+        lightbox = createLightbox();
+    }
+    lightbox.images = images;
+    if (lightbox.element.hidden) {
+        lightbox.returnFocus = document.activeElement;
+    }
+    lightbox.element.hidden = false;
+    document.documentElement.classList.add('lightbox-open');
+    showLightboxImage(index);
+    lightbox.element.querySelector('[data-lightbox-action="close"]').focus();
+}
+
+function closeLightbox() {
+    if (!isLightboxOpen()) return;
+    
+    lightbox.element.hidden = true;
+    document.documentElement.classList.remove('lightbox-open');
+    setImageHash(null);
+    lightbox.returnFocus?.focus?.();
+    lightbox.returnFocus = null;
+}
+
+function isLightboxOpen() {
+    return Boolean(lightbox && !lightbox.element.hidden);
+}
+
+function showLightboxImage(index) {
+    const { images } = lightbox;
+    // Wraps around at either end
+    lightbox.index = (index + images.length) % images.length;
+    const img = images[lightbox.index];
+    
+    lightbox.image.src = img.currentSrc || img.src || img.dataset.src || '';
+    lightbox.image.alt = img.alt;
+    lightbox.caption.textContent = getImageCaption(img);
+    lightbox.caption.hidden = !lightbox.caption.textContent;
+    lightbox.counter.textContent = `${lightbox.index + 1} / ${images.length}`;
+    lightbox.element.classList.toggle('single', images.length < 2);
+    zoomLightbox(1);
+    setImageHash(lightbox.index + 1);
+}
+
+function zoomLightbox(scale) {
+    lightbox.scale = Math.min(LIGHTBOX_MAX_SCALE, Math.max(1, scale));
+    if (lightbox.scale === 1) {
+        lightbox.x = 0;
+        lightbox.y = 0;
+    }
+    updateLightboxTransform();
+}
+
+function updateLightboxTransform() {
+    const { image, scale, x, y } = lightbox;
+    image.style.transform = `translate(${x}px, ${y}px) scale(${scale})`;
+    lightbox.element.classList.toggle('zoomed', scale > 1);
+}
+
+function trapLightboxFocus(event) {
+    const focusable = Array.from(lightbox.element.querySelectorAll('button')).filter(button => button.offsetParent !== null);
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+    }
+}
+
+function setImageHash(number) {
+    const url = new URL(location.href);
+    if (number) {
+        url.hash = `image-${number}`;
+    } else if (IMAGE_HASH.test(url.hash)) {
+        url.hash = '';
+    }
+    if (url.href === location.href) return;
+    
+    replaceUrl(url);
+}
+
+function applyImageHash() {
+    const match = location.hash.match(IMAGE_HASH);
+    if (match) {
+        openLightbox(Number(match[1]) - 1);
+    } else if (isLightboxOpen()) {
+        closeLightbox();
+    }
+}
+
+document.addEventListener('click', (event) => {
+    const img = event.target.closest?.('.content img');
+    if (!img || img.closest('a') || event.defaultPrevented) return;
+    
+    const index = getLightboxImages().indexOf(img);
+    if (index !== -1) openLightbox(index);
+});
+
+document.addEventListener(BEFORE_SWAP, closeLightbox);
+document.addEventListener('mkdocs:page-load', applyImageHash);
+addEventListener('hashchange', applyImageHash);
+
+// Link previews: hovering, focusing or long-pressing an internal link shows a card with the target
+// page's title, first paragraph and first image, or those of the targeted section for #fragment links.
+// Pages come through loadPage(), so a link the prefetcher already fetched needs no new request.
+const PREVIEW_SHOW_DELAY = 400;
+const PREVIEW_HIDE_DELAY = 200;
+const PREVIEW_LONG_PRESS = 500;
+const PREVIEW_EXCERPT_LENGTH = 280;
+const linkPreviews = new Map();
+let previewCard = null;
+let previewLink = null;
+let previewShowTimer, previewHideTimer, previewPressTimer;
+let suppressPreviewClick = false;
+
+function isPreviewableLink(link) {
+    if (!link?.href || !link.closest('.content') || link.classList.contains('headerlink')) return false;
+    if (link.dataset.mkdocsPreview === 'false' || link.hasAttribute('download') || link.target) return false;
+    
+    const url = new URL(link.href);
+    // Same-page anchors point at something already on screen, and files aren't pages
+    return url.origin === location.origin &&
+           getPageCacheKey(url) !== getPageCacheKey(location.href) &&
+           !/\.(?!html?$)\w+$/i.test(url.pathname);
+}
+
+// Loading a preview fetches the page ahead of a visit, so it's held to the prefetch checks
+function canPreviewLink(link) {
+    return isPreviewableLink(link) && isPrefetchAllowed(new URL(link.href));
+}
+
+function getLinkPreview(href) {
+    if (!linkPreviews.has(href)) {
+        const preview = loadPage(href).then(response => {
+            if (!response || response.status >= 400) return null;
+            return extractLinkPreview(parsePage(response), new URL(response.redirected ?? href), new URL(href).hash);
+        });
+        // Failed loads aren't remembered, so the next hover tries again
+        preview.catch(() => linkPreviews.delete(href));
+        linkPreviews.set(href, preview);
+    }
+    return linkPreviews.get(href);
+}
+
+function extractLinkPreview(doc, url, hash) {
+    const content = doc.querySelector('.content') ?? doc.body;
+    const heading = content.querySelector('h1');
+    const preview = {
+        title: heading ? getHeadingText(heading) : doc.title,
+        section: null,
+        excerpt: '',
+        image: null
+    };
+    
+    let scope = [content];
+    const target = hash && doc.getElementById(decodeURIComponent(hash.slice(1)));
+    if (target && target !== heading) {
+        if (/^H[1-6]$/.test(target.tagName)) {
+            preview.section = getHeadingText(target);
+            scope = getSectionElements(target);
+        } else {
+            scope = [target];
+        }
+    }
+    
+    const paragraph = findInScope(scope, 'p', el => el.textContent.trim());
+    if (paragraph) {
+        const text = paragraph.textContent.replace(/\s+/g, ' ').trim();
+        const cut = text.lastIndexOf(' ', PREVIEW_EXCERPT_LENGTH);
+        preview.excerpt = text.length > PREVIEW_EXCERPT_LENGTH
+            ? text.slice(0, cut > 0 ? cut : PREVIEW_EXCERPT_LENGTH) + '…'
+            : text;
+    }
+    
+    const image = findInScope(scope, 'img', el => el.getAttribute('data-src') || el.getAttribute('src'));
+    if (image) {
+        // Image paths are relative to the previewed page, not this one
+        const src = image.getAttribute('data-src') || image.getAttribute('src');
+        preview.image = { src: new URL(src, url).href, alt: image.getAttribute('alt') ?? '' };
+    }
+    
+    return preview;
+}
+
+// A section runs from its heading to the next heading of the same or a higher level
+function getSectionElements(heading) {
+    const level = Number(heading.tagName[1]);
+    const elements = [];
+    for (let el = heading.nextElementSibling; el; el = el.nextElementSibling) {
+        if (/^H[1-6]$/.test(el.tagName) && Number(el.tagName[1]) <= level) break;
+        elements.push(el);
+    }
+    return elements;
+}
+
+function findInScope(scope, selector, accept) {
+    for (const root of scope) {
+        const candidates = root.matches(selector) ? [root] : root.querySelectorAll(selector);
+        for (const candidate of candidates) {
+            if (accept(candidate)) return candidate;
+        }
+    }
+    return null;
+}
+
+function createPreviewCard() {
+    previewCard = document.createElement('div');
+    previewCard.className = 'link-preview';
+    previewCard.id = 'link-preview';
+    previewCard.setAttribute('role', 'tooltip');
+    previewCard.hidden = true;
+    
+    // Moving onto the card keeps it open, so it can be read and selected from
+    previewCard.addEventListener('mouseenter', () => clearTimeout(previewHideTimer));
+    previewCard.addEventListener('mouseleave', scheduleHideLinkPreview);
+    
+    // Lives outside <body> so page swaps leave it alone
+    document.documentElement.appendChild(previewCard);
+}
+
+async function showLinkPreview(link) {
+    clearTimeout(previewShowTimer);
+    clearTimeout(previewHideTimer);
+    if (previewLink === link) return;
+    
+    if (!previewCard) createPreviewCard();
+    previewLink?.removeAttribute('aria-describedby');
+    previewLink = link;
+    link.setAttribute('aria-describedby', previewCard.id);
+    
+    const loading = document.createElement('p');
+    loading.className = 'link-preview-loading';
+    loading.textContent = 'Loading preview…';
+    previewCard.replaceChildren(loading);
+    previewCard.setAttribute('aria-busy', 'true');
+    previewCard.hidden = false;
+    positionLinkPreview(link);
+    
+    let preview;
+    try {
+        preview = await getLinkPreview(link.href);
+    } catch {
+        preview = null;
+    }
+    
+    // The reader has moved on while the page loaded
+    if (previewLink !== link) return;
+    if (!preview) {
+        hideLinkPreview();
+        return;
+    }
+    
+    renderLinkPreview(preview);
+    positionLinkPreview(link);
+}
+
+function renderLinkPreview(preview) {
+    const children = [];
+    
+    if (preview.image) {
+        const img = document.createElement('img');
+        img.className = 'link-preview-image';
+        img.src = preview.image.src;
+        img.alt = preview.image.alt;
+        children.push(img);
+    }
+    
+    const title = document.createElement('strong');
+    title.className = 'link-preview-title';
+    title.textContent = preview.section ? `${preview.title} › ${preview.section}` : preview.title;
+    children.push(title);
+    
+    if (preview.excerpt) {
+        const excerpt = document.createElement('p');
+        excerpt.className = 'link-preview-excerpt';
+        excerpt.textContent = preview.excerpt;
+        children.push(excerpt);
+    }
+    
+    previewCard.replaceChildren(...children);
+    previewCard.removeAttribute('aria-busy');
+}
+
+// Below the link, or above it when there's no room, kept inside the viewport horizontally
+function positionLinkPreview(link) {
+    const margin = 8;
+    const rect = link.getBoundingClientRect();
+    const { offsetWidth: width, offsetHeight: height } = previewCard;
+    
+    const left = Math.max(margin, Math.min(rect.left, window.innerWidth - width - margin));
+    const above = rect.bottom + margin + height > window.innerHeight && rect.top - margin - height > 0;
+    const top = above ? rect.top - margin - height : rect.bottom + margin;
+    
+    previewCard.style.left = `${left + window.scrollX}px`;
+    previewCard.style.top = `${top + window.scrollY}px`;
+    previewCard.classList.toggle('above', above);
+}
+
+function hideLinkPreview() {
+    clearTimeout(previewShowTimer);
+    clearTimeout(previewHideTimer);
+    previewLink?.removeAttribute('aria-describedby');
+    previewLink = null;
+    if (previewCard) previewCard.hidden = true;
+}
+
+function scheduleHideLinkPreview() {
+    clearTimeout(previewShowTimer);
+    clearTimeout(previewHideTimer);
+    previewHideTimer = setTimeout(hideLinkPreview, PREVIEW_HIDE_DELAY);
+}
+
+function scheduleLinkPreview(link) {
+    clearTimeout(previewShowTimer);
+    if (link === previewLink) {
+        clearTimeout(previewHideTimer);
+        return;
+    }
+    previewShowTimer = setTimeout(() => showLinkPreview(link), PREVIEW_SHOW_DELAY);
+}
+
+document.addEventListener('mouseover', (event) => {
+    const link = event.target.closest?.('a[href]');
+    if (canPreviewLink(link)) scheduleLinkPreview(link);
+});
+
+document.addEventListener('mouseout', (event) => {
+    const link = event.target.closest?.('a[href]');
+    if (isPreviewableLink(link) && !link.contains(event.relatedTarget)) scheduleHideLinkPreview();
+});
+
+document.addEventListener('focusin', (event) => {
+    const link = event.target.closest?.('a[href]');
+    if (canPreviewLink(link)) scheduleLinkPreview(link);
+});
+
+document.addEventListener('focusout', (event) => {
+    const link = event.target.closest?.('a[href]');
+    if (isPreviewableLink(link)) hideLinkPreview();
+});
+
+document.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape' && previewCard && !previewCard.hidden) {
+        hideLinkPreview();
+    }
+});
+
+// Touch screens: a long press shows the card instead of following the link, a tap elsewhere closes it
+document.addEventListener('touchstart', (event) => {
+    suppressPreviewClick = false;
+    clearTimeout(previewPressTimer);
+    
+    const link = event.target.closest?.('a[href]');
+    if (!canPreviewLink(link)) {
+        if (!previewCard?.contains(event.target)) hideLinkPreview();
+        return;
+    }
+    
+    previewPressTimer = setTimeout(() => {
+        suppressPreviewClick = true;
+        showLinkPreview(link);
+    }, PREVIEW_LONG_PRESS);
+}, { passive: true });
+
+for (const type of ['touchmove', 'touchend', 'touchcancel']) {
+    document.addEventListener(type, () => clearTimeout(previewPressTimer), { passive: true });
+}
+
+document.addEventListener('click', (event) => {
+    if (suppressPreviewClick && event.target.closest?.('a[href]') === previewLink) {
+        event.preventDefault();
+    }
+    suppressPreviewClick = false;
+}, true);
+
+document.addEventListener(BEFORE_PREPARATION, hideLinkPreview);
+
+// Keyboard shortcuts. Each action takes a list of bindings: a key with optional modifiers, like
+// '/', 'Alt+ArrowLeft' or 'Mod+k' (Cmd on macOS, Ctrl elsewhere), or a space-separated sequence like 'g h'.
+// Remap them by editing penguinTheme.keymap; an empty list switches an action off.
+const isMacPlatform = /Mac|iPhone|iPad/.test(navigator.userAgentData?.platform ?? navigator.platform);
+const KEY_SEQUENCE_TIMEOUT = 1000;
+const keymap = {
+    'command-palette': ['Mod+k'],
+    'focus-search': ['/'],
+    'go-home': ['g h'],
+    'previous-section': ['['],
+    'next-section': [']'],
+    'previous-page': ['Alt+ArrowLeft'],
+    'next-page': ['Alt+ArrowRight'],
+    'toggle-theme': [],
+    'print': [],
+    'copy-link': [],
+    'show-shortcuts': ['?']
+};
+const KEY_ACTIONS = {
+    'command-palette': { label: 'Open the command palette', run: toggleCommandPalette },
+    'focus-search': { label: 'Search the wiki', run: focusSearch },
+    'go-home': { label: 'Go to the home page', run: () => navigate(siteRoot.href) },
+    'previous-section': { label: 'Previous section', run: () => goToSection(-1) },
+    'next-section': { label: 'Next section', run: () => goToSection(1) },
+    'previous-page': { label: 'Previous page', run: () => goToAdjacentPage(-1) },
+    'next-page': { label: 'Next page', run: () => goToAdjacentPage(1) },
+    'toggle-theme': { label: 'Toggle theme', run: toggleTheme },
+    'print': { label: 'Print this page', run: () => window.print() },
+    'copy-link': { label: 'Copy link to this page', run: copyPageLink },
+    'show-shortcuts': { label: 'Show keyboard shortcuts', run: toggleShortcutsOverlay }
+};
+let pendingKeySequence = null;
+let keySequenceTimer;
+
+function getKeyBindings(action) {
+    return [].concat(keymap[action] ?? []).filter(Boolean).map(binding => binding.trim().split(/\s+/));
+}
+
+function parseKeyStep(step) {
+    // A trailing '+' is the + key itself, as in 'Shift++'
+    const key = step.endsWith('+') ? '+' : step.slice(step.lastIndexOf('+') + 1);
+    const modifiers = step.slice(0, step.length - key.length).split('+').filter(Boolean);
+    return { key, modifiers };
+}
+
+function matchesKey(event, step) {
+    const { key, modifiers: names } = parseKeyStep(step);
+    const modifiers = new Set(names.map(name => name.toLowerCase()));
+    if (modifiers.delete('mod')) {
+        modifiers.add(isMacPlatform ? 'meta' : 'ctrl');
+    }
+    
+    // Shift is already part of characters like ? and {, so it's only checked for named keys.
+    // With modifiers held, letters match either case (Shift+h arrives as H, Ctrl+k with caps lock as K).
+    const named = key.length > 1;
+    const keyMatches = named || modifiers.size
+        ? event.key.toLowerCase() === key.toLowerCase()
+        : event.key === key;
+    return keyMatches &&
+           event.ctrlKey === modifiers.has('ctrl') &&
+           event.metaKey === modifiers.has('meta') &&
+           event.altKey === modifiers.has('alt') &&
+           (!named && !modifiers.has('shift') || event.shiftKey === modifiers.has('shift'));
+}
+
+function isTypingTarget(target) {
+    return target instanceof Element &&
+           (target.isContentEditable || !!target.closest('input, textarea, select'));
+}
+
+function handleShortcutKey(event) {
+    if (event.defaultPrevented || event.isComposing || ['Control', 'Alt', 'Shift', 'Meta'].includes(event.key)) return;
+    
+    // Plain keys belong to whatever field has focus; only modified ones work while typing
+    const typing = isTypingTarget(event.target);
+    const candidates = pendingKeySequence ?? Object.keys(keymap).flatMap(action =>
+        getKeyBindings(action).map(steps => ({ action, steps, index: 0 })));
+    
+    const next = [];
+    for (const candidate of candidates) {
+        const step = candidate.steps[candidate.index];
+        if (typing && parseKeyStep(step).modifiers.every(name => name.toLowerCase() === 'shift')) continue;
+        if (!matchesKey(event, step)) continue;
+        
+        if (candidate.index === candidate.steps.length - 1) {
+            event.preventDefault();
+            resetKeySequence();
+            KEY_ACTIONS[candidate.action]?.run();
+            return;
+        }
+        next.push({ ...candidate, index: candidate.index + 1 });
+    }
+    
+    if (next.length) {
+        event.preventDefault();
+        pendingKeySequence = next;
+        clearTimeout(keySequenceTimer);
+        keySequenceTimer = setTimeout(resetKeySequence, KEY_SEQUENCE_TIMEOUT);
+    } else if (pendingKeySequence) {
+        // A broken sequence starts over, so the key can still begin a new one
+        resetKeySequence();
+        handleShortcutKey(event);
+    }
+}
+
+function resetKeySequence() {
+    pendingKeySequence = null;
+    clearTimeout(keySequenceTimer);
+}
+
+function formatKeyBinding(steps) {
+    return steps.map(step => {
+        const { key, modifiers } = parseKeyStep(step);
+        const labels = modifiers.map(name => {
+            const modifier = name.toLowerCase();
+            if (modifier === 'mod') return isMacPlatform ? '⌘' : 'Ctrl';
+            if (modifier === 'meta') return isMacPlatform ? '⌘' : 'Meta';
+            return modifier[0].toUpperCase() + modifier.slice(1);
+        });
+        const keyLabel = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓' }[key] ?? key;
+        // Ctrl+K reads better than Ctrl+k, but a bare g shouldn't look like Shift+G
+        return [...labels, labels.length ? keyLabel.toUpperCase() : keyLabel];
+    });
+}
+
+function focusSearch() {
+    const searchInput = document.querySelector('.search-input');
+    searchInput?.focus();
+    searchInput?.select();
+}
+
+// Follows the previous/next cards, which come from the nav tree's real page order
+function goToAdjacentPage(step) {
+    document.querySelector(`.page-nav a[rel="${step > 0 ? 'next' : 'prev'}"]`)?.click();
+}
+
+function goToSection(step) {
+    const headings = Array.from(document.querySelectorAll('.content h2[id], .content h3[id]'));
+    const tops = headings.map(heading => heading.getBoundingClientRect().top);
+    const target = step > 0
+        ? headings.find((heading, i) => tops[i] > 1)
+        : headings.findLast((heading, i) => tops[i] < -1);
+    if (target) goToHeading(target);
+}
+
+function goToHeading(heading) {
+    heading.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    highlightAnchorTarget(heading);
+    
+    const url = new URL(location.href);
+    url.hash = heading.id;
+    replaceUrl(url);
+}
+
+async function copyPageLink() {
+    try {
+        await navigator.clipboard.writeText(location.href);
+    } catch (err) {
+        console.error('Failed to copy link:', err);
+    }
+}
+
+document.addEventListener('keydown', handleShortcutKey);
+
+// Command palette: pages from the site navigation, headings on this page and theme actions,
+// narrowed down with a fuzzy filter as you type
+const MAX_PALETTE_ITEMS = 50;
+let commandPalette = null;
+let paletteItems = [];
+let paletteResults = [];
+let paletteActiveIndex = -1;
+let paletteReturnFocus = null;
+
+function createCommandPalette() {
+    commandPalette = document.createElement('div');
+    commandPalette.className = 'command-palette';
+    commandPalette.hidden = true;
+    commandPalette.innerHTML = `
+        <div class="command-palette-panel" role="dialog" aria-modal="true" aria-label="Command palette">
+            <input type="text" class="command-palette-input" placeholder="Go to a page, section or action…"
+                   role="combobox" aria-expanded="true" aria-controls="command-palette-list"
+                   aria-autocomplete="list" autocomplete="off" spellcheck="false">
+            <ul class="command-palette-list" id="command-palette-list" role="listbox" aria-label="Commands"></ul>
+        </div>
+    `;
+    
+    const input = commandPalette.querySelector('.command-palette-input');
+    const list = commandPalette.querySelector('.command-palette-list');
+    
+    input.addEventListener('input', () => filterCommandPalette(input.value));
+    
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (paletteResults.length) {
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                setActivePaletteItem((paletteActiveIndex + step + paletteResults.length) % paletteResults.length);
+            }
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            runPaletteItem(paletteResults[paletteActiveIndex]);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            closeCommandPalette();
+        } else if (e.key === 'Tab') {
+            // The input is the only stop in the dialog
+            e.preventDefault();
+        }
+    });
+    
+    // Keep focus in the input while picking with the mouse or clicking around the panel,
+    // so Tab never gets a chance to leave the dialog
+    commandPalette.addEventListener('mousedown', (e) => {
+        if (e.target !== input) e.preventDefault();
+    });
+    
+    list.addEventListener('click', (e) => {
+        const option = e.target.closest('.command-palette-item');
+        if (option) runPaletteItem(paletteResults[Number(option.dataset.index)]);
+    });
+    
+    commandPalette.addEventListener('click', (e) => {
+        if (e.target === commandPalette) closeCommandPalette();
+    });
+    
+    // Lives outside <body> so page swaps leave it alone
+    document.documentElement.appendChild(commandPalette);
+}
+
+function getPaletteItems() {
+    const items = [];
+    
+    // main.html renders the whole navigation into a template; the navbar only has the top level
+    const template = document.getElementById('mkdocs-nav-pages');
+    const navLinks = template ? template.content.querySelectorAll('a') : document.querySelectorAll('.navbar a');
+    const seen = new Set();
+    for (const link of navLinks) {
+        const url = new URL(link.getAttribute('href'), location.href).href;
+        if (seen.has(url)) continue;
+        seen.add(url);
+        items.push({ kind: 'Page', label: link.textContent.trim(), detail: link.dataset.section ?? '', run: () => navigate(url) });
+    }
+    
+    for (const heading of document.querySelectorAll('.content :is(h1, h2, h3, h4)[id]')) {
+        items.push({ kind: 'Section', label: getHeadingText(heading), detail: '', run: () => goToHeading(heading) });
+    }
+    
+    for (const action of ['toggle-theme', 'print', 'copy-link', 'show-shortcuts']) {
+        items.push({ kind: 'Action', label: KEY_ACTIONS[action].label, detail: '', run: KEY_ACTIONS[action].run });
+    }
+    
+    return items;
+}
+
+// Every query character has to appear in order; runs of consecutive matches and matches at
+// the start of a word score higher. Returns null when there's no match.
+function fuzzyMatch(text, query) {
+    const lowerText = text.toLowerCase();
+    const positions = [];
+    let score = 0;
+    let from = 0;
+    
+    for (const char of query.toLowerCase().replace(/\s+/g, '')) {
+        const index = lowerText.indexOf(char, from);
+        if (index === -1) return null;
+        
+        score += 1;
+        if (index === 0 || /[\s\-_/.]/.test(lowerText[index - 1])) score += 3;
+        if (positions.length && index === positions[positions.length - 1] + 1) score += 2;
+        positions.push(index);
+        from = index + 1;
+    }
+    
+    // Shorter labels are closer matches
+    return { score: score - lowerText.length / 100, positions };
+}
+
+function filterCommandPalette(query) {
+    if (query.trim()) {
+        paletteResults = paletteItems
+            .map(item => ({ item, match: fuzzyMatch(item.label, query) }))
+            .filter(result => result.match)
+            .sort((a, b) => b.match.score - a.match.score)
+            .slice(0, MAX_PALETTE_ITEMS)
+            .map(({ item, match }) => ({ ...item, positions: match.positions }));
+    } else {
+        paletteResults = paletteItems.slice(0, MAX_PALETTE_ITEMS).map(item => ({ ...item, positions: [] }));
+    }
+    renderCommandPalette();
+}
+
+function renderCommandPalette() {
+    const list = commandPalette.querySelector('.command-palette-list');
+    list.replaceChildren();
+    paletteActiveIndex = -1;
+    
+    if (!paletteResults.length) {
+        const empty = document.createElement('li');
+        empty.className = 'command-palette-empty';
+        empty.textContent = 'No matching pages or commands';
+        list.appendChild(empty);
+    }
+    
+    paletteResults.forEach((result, index) => {
+        const item = document.createElement('li');
+        item.id = `command-palette-item-${index}`;
+        item.className = 'command-palette-item';
+        item.dataset.index = index;
+        item.setAttribute('role', 'option');
+        item.setAttribute('aria-selected', 'false');
+        
+        const label = document.createElement('span');
+        label.className = 'command-palette-label';
+        let lastIndex = 0;
+        for (const position of result.positions) {
+            const mark = document.createElement('mark');
+            mark.textContent = result.label[position];
+            label.append(result.label.slice(lastIndex, position), mark);
+            lastIndex = position + 1;
+        }
+        label.append(result.label.slice(lastIndex));
+        item.appendChild(label);
+        
+        if (result.detail) {
+            const detail = document.createElement('span');
+            detail.className = 'command-palette-detail';
+            detail.textContent = result.detail;
+            item.appendChild(detail);
+        }
+        
+        const kind = document.createElement('span');
+        kind.className = 'command-palette-kind';
+        kind.textContent = result.kind;
+        item.appendChild(kind);
+        
+        list.appendChild(item);
+    });
+    
+    if (paletteResults.length) setActivePaletteItem(0);
+}
+
+function setActivePaletteItem(index) {
+    const options = commandPalette.querySelectorAll('.command-palette-item');
+    options[paletteActiveIndex]?.setAttribute('aria-selected', 'false');
+    paletteActiveIndex = index;
+    options[index].setAttribute('aria-selected', 'true');
+    options[index].scrollIntoView({ block: 'nearest' });
+    commandPalette.querySelector('.command-palette-input').setAttribute('aria-activedescendant', options[index].id);
+}
+
+function openCommandPalette() {
+    if (!commandPalette) createCommandPalette();
+    if (!commandPalette.hidden) return;
+    
+    closeShortcutsOverlay();
+    paletteReturnFocus = document.activeElement;
+    paletteItems = getPaletteItems();
+    
+    const input = commandPalette.querySelector('.command-palette-input');
+    input.value = '';
+    filterCommandPalette('');
+    commandPalette.hidden = false;
+    input.focus();
+}
+
+function closeCommandPalette() {
+    if (!commandPalette || commandPalette.hidden) return;
+    commandPalette.hidden = true;
+    paletteReturnFocus?.focus?.({ preventScroll: true });
+    paletteReturnFocus = null;
+}
+
+function toggleCommandPalette() {
+    if (commandPalette && !commandPalette.hidden) {
+        closeCommandPalette();
+    } else {
+        openCommandPalette();
+    }
+}
+
+function runPaletteItem(item) {
+    if (!item) return;
+    closeCommandPalette();
+    item.run();
+}
+
+// Shortcut help, built from the keymap each time it opens so remapped keys show up
+let shortcutsOverlay = null;
+let shortcutsReturnFocus = null;
+
+function toggleShortcutsOverlay() {
+    if (shortcutsOverlay && !shortcutsOverlay.hidden) {
+        closeShortcutsOverlay();
+        return;
+    }
+    
+    if (!shortcutsOverlay) {
+        shortcutsOverlay = document.createElement('div');
+        shortcutsOverlay.className = 'shortcuts-overlay';
+        shortcutsOverlay.innerHTML = `
+            <div class="shortcuts-panel" role="dialog" aria-modal="true" aria-labelledby="shortcuts-title" tabindex="-1">
+                <h2 id="shortcuts-title">Keyboard shortcuts</h2>
+                <dl class="shortcuts-list"></dl>
+                <button type="button" class="shortcuts-close">Close</button>
+            </div>
+        `;
+        shortcutsOverlay.addEventListener('click', (e) => {
+            if (e.target === shortcutsOverlay || e.target.closest('.shortcuts-close')) closeShortcutsOverlay();
+        });
+        shortcutsOverlay.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                closeShortcutsOverlay();
+            } else if (e.key === 'Tab') {
+                // The close button is the only stop in the dialog
+                e.preventDefault();
+                shortcutsOverlay.querySelector('.shortcuts-close').focus();
+            }
+        });
+        document.documentElement.appendChild(shortcutsOverlay);
+    }
+    
+    const list = shortcutsOverlay.querySelector('.shortcuts-list');
+    list.replaceChildren();
+    for (const [action, { label }] of Object.entries(KEY_ACTIONS)) {
+        const bindings = getKeyBindings(action);
+        if (!bindings.length) continue;
+        
+        const term = document.createElement('dt');
+        bindings.forEach((steps, i) => {
+            if (i) term.append(' or ');
+            formatKeyBinding(steps).forEach((keys, j) => {
+                if (j) term.append(' then ');
+                keys.forEach((key, k) => {
+                    if (k) term.append('+');
+                    const kbd = document.createElement('kbd');
+                    kbd.textContent = key;
+                    term.appendChild(kbd);
+                });
+            });
+        });
+        
+        const description = document.createElement('dd');
+        description.textContent = label;
+        list.append(term, description);
+    }
+    
+    closeCommandPalette();
+    shortcutsReturnFocus = document.activeElement;
+    shortcutsOverlay.hidden = false;
+    shortcutsOverlay.querySelector('.shortcuts-panel').focus();
+}
+
+function closeShortcutsOverlay() {
+    if (!shortcutsOverlay || shortcutsOverlay.hidden) return;
+    shortcutsOverlay.hidden = true;
+    shortcutsReturnFocus?.focus?.({ preventScroll: true });
+    shortcutsReturnFocus = null;
+}
+
+// Both are about the page being left, so they go when it does
+document.addEventListener(BEFORE_PREPARATION, () => {
+    closeCommandPalette();
+    closeShortcutsOverlay();
+});
+
+// Mobile navigation drawer: an off-canvas panel with copies of the navbar and table of contents,
+// opened by .mobile-menu-toggle. The copies are taken on every open so the current section is marked.
+const drawerQuery = window.matchMedia('(max-width: 768px)');
+const DRAWER_SWIPE_DISTANCE = 60;
+let mobileDrawer = null;
+let drawerReturnFocus = null;
+
+function createMobileDrawer() {
+    mobileDrawer = document.createElement('div');
+    mobileDrawer.className = 'mobile-drawer';
+    mobileDrawer.id = 'mobile-drawer';
+    mobileDrawer.hidden = true;
+    mobileDrawer.innerHTML = `
+        <div class="mobile-drawer-panel" role="dialog" aria-modal="true" aria-label="Site navigation">
+            <button type="button" class="mobile-drawer-close" aria-label="Close navigation">×</button>
+            <div class="mobile-drawer-content"></div>
+        </div>
+    `;
+    
+    const panel = mobileDrawer.querySelector('.mobile-drawer-panel');
+    
+    mobileDrawer.addEventListener('click', (e) => {
+        // The backdrop, the close button and any link all close the drawer; links then do their thing
+        if (e.target === mobileDrawer || e.target.closest('.mobile-drawer-close, a[href]')) {
+            closeMobileDrawer({ restoreFocus: !e.target.closest('a[href]') });
+        }
+    });
+    
+    mobileDrawer.addEventListener('keydown', (e) => {
+        if (e.key === 'Tab') trapDrawerFocus(e);
+    });
+    
+    // Swipe left to close, with the panel following the finger
+    let startX = null;
+    let offset = 0;
+    panel.addEventListener('touchstart', (e) => {
+        startX = e.touches[0].clientX;
+        offset = 0;
+        panel.style.transition = 'none';
+    }, { passive: true });
+    
+    panel.addEventListener('touchmove', (e) => {
+        if (startX === null) return;
+        offset = Math.min(0, e.touches[0].clientX - startX);
+        panel.style.transform = `translateX(${offset}px)`;
+    }, { passive: true });
+    
+    const endSwipe = () => {
+        if (startX === null) return;
+        startX = null;
+        panel.style.transition = '';
+        panel.style.transform = '';
+        if (offset < -DRAWER_SWIPE_DISTANCE) closeMobileDrawer();
+    };
+    panel.addEventListener('touchend', endSwipe);
+    panel.addEventListener('touchcancel', endSwipe);
+    
+    // Lives outside <body> so it isn't swapped out from under an open drawer
+    document.documentElement.appendChild(mobileDrawer);
+}
+
+function openMobileDrawer() {
+    if (!mobileDrawer) createMobileDrawer();
+    if (isMobileDrawerOpen()) return;
+    
+    const content = mobileDrawer.querySelector('.mobile-drawer-content');
+    content.replaceChildren();
+    const nav = document.querySelector('.navbar ul');
+    if (nav) {
+        const drawerNav = document.createElement('nav');
+        drawerNav.className = 'mobile-drawer-nav';
+        drawerNav.setAttribute('aria-label', 'Pages');
+        drawerNav.appendChild(nav.cloneNode(true));
+        content.appendChild(drawerNav);
+    }
+    const toc = document.querySelector('.contents');
+    if (toc) {
+        const drawerToc = toc.cloneNode(true);
+        drawerToc.classList.add('mobile-drawer-toc');
+        content.appendChild(drawerToc);
+    }
+    
+    drawerReturnFocus = document.activeElement;
+    mobileDrawer.hidden = false;
+    document.documentElement.classList.add('drawer-open');
+    document.querySelector('.mobile-menu-toggle')?.setAttribute('aria-expanded', 'true');
+    mobileDrawer.querySelector('.mobile-drawer-close').focus();
+}
+
+function closeMobileDrawer({ restoreFocus = true } = {}) {
+    if (!isMobileDrawerOpen()) return;
+    
+    mobileDrawer.hidden = true;
+    document.documentElement.classList.remove('drawer-open');
+    document.querySelector('.mobile-menu-toggle')?.setAttribute('aria-expanded', 'false');
+    if (restoreFocus) drawerReturnFocus?.focus?.();
+    drawerReturnFocus = null;
+}
+
+function isMobileDrawerOpen() {
+    return Boolean(mobileDrawer && !mobileDrawer.hidden);
+}
+
+function trapDrawerFocus(event) {
+    const focusable = Array.from(mobileDrawer.querySelectorAll('a[href], button')).filter(element => element.offsetParent !== null);
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+    }
+}
+
+function initializeMobileDrawer() {
+    const toggle = document.querySelector('.mobile-menu-toggle');
+    if (!toggle) return;
+    
+    if (!mobileDrawer) createMobileDrawer();
+    // Lets the stylesheet swap the wrapping navbar for the drawer only once the drawer works
+    document.documentElement.setAttribute('data-mkdocs-drawer', '');
+    
+    const toggleDrawer = () => isMobileDrawerOpen() ? closeMobileDrawer() : openMobileDrawer();
+    toggle.addEventListener('click', toggleDrawer);
+    
+    // Runs on mkdocs:before-swap, so client-side navigation always lands with the drawer closed
+    return () => {
+        toggle.removeEventListener('click', toggleDrawer);
+        closeMobileDrawer({ restoreFocus: false });
+    };
+}
+
+// Widening the window past the breakpoint leaves nothing to hold the drawer open for
+drawerQuery.addEventListener('change', () => {
+    if (!drawerQuery.matches) closeMobileDrawer();
+});
+
+// In-page anchors: same-page links scroll smoothly and push the new hash through updateLocation(),
+// so Back returns to where the reader was. Headings' ¶ permalinks also copy the section URL.
+// Targets are briefly highlighted, and scroll-margin keeps them clear of the sticky navbar.
+const ANCHOR_HIGHLIGHT_DURATION = 2000;
+let anchorHighlightTimer;
+let toast = null;
+let toastTimer;
+
+function getAnchorTarget(url) {
+    if (!url.hash || url.origin !== location.origin ||
+        url.pathname !== location.pathname || url.search !== location.search) return null;
+    
+    try {
+        return document.getElementById(decodeURIComponent(url.hash.slice(1)));
+    } catch {
+        return null;
+    }
+}
+
+function jumpToAnchor(target, url) {
+    if (url.href !== location.href) {
+        // Remember where we're leaving from, as navigateToPage() does. Without view transitions
+        // the entry may have no state yet, and handlePopState() needs one to restore the position.
+        mergeHistoryState({ scrollX: window.scrollX, scrollY: window.scrollY });
+        updateLocation(url, currentLocation ?? new URL(location.href), {}, document.title);
+    }
+    
+    target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    highlightAnchorTarget(target);
+}
+
+function highlightAnchorTarget(target) {
+    document.querySelectorAll('.anchor-target').forEach(element => element.classList.remove('anchor-target'));
+    clearTimeout(anchorHighlightTimer);
+    
+    target.classList.add('anchor-target');
+    anchorHighlightTimer = setTimeout(() => target.classList.remove('anchor-target'), ANCHOR_HIGHLIGHT_DURATION);
+}
+
+function applyAnchorHash() {
+    const target = getAnchorTarget(new URL(location.href));
+    if (target) highlightAnchorTarget(target);
+}
+
+async function copyAnchorLink(url) {
+    try {
+        await navigator.clipboard.writeText(url.href);
+        showToast('Link copied to clipboard');
+    } catch (err) {
+        console.error('Failed to copy link:', err);
+        showToast("Couldn't copy the link");
+    }
+}
+
+function showToast(message) {
+    if (!toast) {
+        toast = document.createElement('div');
+        toast.className = 'toast';
+        toast.setAttribute('role', 'status');
+        toast.hidden = true;
+        document.documentElement.appendChild(toast);
+    }
+    
+    toast.textContent = message;
+    toast.hidden = false;
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => {
+        toast.hidden = true;
+    }, 2000);
+}
+
+// Match the sticky navbar's height, which changes with the breakpoint and is gone under the mobile drawer
+function updateAnchorOffset() {
+    const navbar = document.querySelector('div.navbar');
+    const style = navbar && getComputedStyle(navbar);
+    const height = style && style.display !== 'none' && ['sticky', 'fixed'].includes(style.position) ? navbar.offsetHeight : 0;
+    document.documentElement.style.setProperty('--penguin-anchor-offset', `${height + 16}px`);
+}
+
+// Capture phase, so this runs before the navigation click handler treats the link as a page visit
+document.addEventListener('click', (event) => {
+    const link = event.target.closest?.('a[href]');
+    if (!link || event.defaultPrevented || event.button !== 0 ||
+        event.metaKey || event.ctrlKey || event.altKey || event.shiftKey) return;
+    
+    // SVG links keep their href in an SVGAnimatedString, as in the navigation click handler
+    const href = link instanceof HTMLElement ? link.href : link.href.baseVal;
+    const url = new URL(href, location.href);
+    const target = getAnchorTarget(url);
+    if (!target) return;
+    
+    event.preventDefault();
+    if (link.classList.contains('headerlink')) {
+        copyAnchorLink(url);
+    }
+    jumpToAnchor(target, url);
+}, true);
+
+document.addEventListener('mkdocs:page-load', () => {
+    updateAnchorOffset();
+    applyAnchorHash();
+});
+addEventListener('hashchange', applyAnchorHash);
+addEventListener('resize', updateAnchorOffset, { passive: true });
+
+// Enhanced search functionality
+function highlightSearchTerms(element, query) {
+    // Clear previous highlights
+    removeSearchHighlights();
+    
+    const walker = document.createTreeWalker(
+        element,
+        NodeFilter.SHOW_TEXT,
+        {
+            acceptNode: function(node) {
+                return node.parentNode.tagName === 'SCRIPT' || 
+                       node.parentNode.tagName === 'STYLE' ||
+                       node.parentNode.classList.contains('search-highlight')
+                       ? NodeFilter.FILTER_REJECT 
+                       : NodeFilter.FILTER_ACCEPT;
+            }
+        },
+        false
+    );
+
+    const textNodes = [];
+    let node;
+    while (node = walker.nextNode()) {
+        textNodes.push(node);
+    }
+
+    const { terms, excluded } = parseSearchQuery(query);
+    const termCounts = terms.map(term => ({ term: term.text, count: 0 }));
+    const excludedBlocks = new Map();
+    
+    textNodes.forEach(textNode => {
+        if (excluded.length && isInExcludedBlock(textNode, element, excluded, excludedBlocks)) return;
+        
+        const text = textNode.textContent;
+        const matches = findTermMatches(text, terms);
+        if (!matches.length) return;
+        
+        const fragment = document.createDocumentFragment();
+        let lastIndex = 0;
+        for (const match of matches) {
+            const mark = createSearchMark(text.slice(match.start, match.end), match.term);
+            mark.classList.add('search-highlight');
+            fragment.append(text.slice(lastIndex, match.start), mark);
+            termCounts[match.term].count++;
+            lastIndex = match.end;
+        }
+        fragment.append(text.slice(lastIndex));
+        textNode.replaceWith(fragment);
+    });
+
+    searchMatches = Array.from(element.querySelectorAll('mark.search-highlight'));
+    currentMatchIndex = -1;
+    activeSearchQuery = query;
+
+    // Update search results indicator
+    updateSearchResults(termCounts, query);
+    scheduleSearchQuerySync(query);
+}
+
+// Query syntax: plain words match fuzzily, "quoted phrases" match exactly and -words exclude
+const SEARCH_TERM_COLOURS = 5;
+
+function parseSearchQuery(query) {
+    const terms = [];
+    const excluded = [];
+    
+    for (const [, negated, phrase, word] of query.matchAll(/(-?)"([^"]+)"|(\S+)/g)) {
+        if (phrase !== undefined) {
+            const text = phrase.trim().replace(/\s+/g, ' ').toLowerCase();
+            if (text) (negated ? excluded : terms).push({ text, phrase: true, maxEdits: 0 });
+            continue;
+        }
+        
+        const isExcluded = word.length > 1 && word.startsWith('-');
+        const text = (isExcluded ? word.slice(1) : word).replace(/"/g, '').toLowerCase();
+        if (!text) continue;
+        
+        if (isExcluded) {
+            excluded.push({ text, phrase: false, maxEdits: 0 });
+        } else {
+            terms.push({ text, phrase: false, maxEdits: text.length >= 8 ? 2 : text.length >= 4 ? 1 : 0 });
+        }
+    }
+    
+    const uniqueTerms = terms.filter((term, index) => terms.findIndex(other => other.text === term.text) === index);
+    return { terms: uniqueTerms, excluded };
+}
+
+function findTermMatches(text, terms) {
+    const matches = [];
+    
+    terms.forEach((term, index) => {
+        const pattern = term.text.split(' ').map(escapeRegExp).join('\\s+');
+        for (const match of text.matchAll(new RegExp(pattern, 'gi'))) {
+            matches.push({ start: match.index, end: match.index + match[0].length, term: index, fuzzy: false });
+        }
+    });
+    
+    // Typo-tolerant pass over whole words that no exact match already covers
+    const fuzzyTerms = terms.filter(term => term.maxEdits > 0);
+    if (fuzzyTerms.length) {
+        for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+            const start = match.index;
+            const end = start + match[0].length;
+            if (matches.some(other => other.start < end && other.end > start)) continue;
+            
+            const word = match[0].toLowerCase();
+            const index = terms.findIndex(term =>
+                term.maxEdits > 0 && editDistance(word, term.text, term.maxEdits) <= term.maxEdits
+            );
+            if (index !== -1) {
+                matches.push({ start, end, term: index, fuzzy: true });
+            }
+        }
+    }
+    
+    matches.sort((a, b) => a.start - b.start || b.end - a.end);
+    let lastEnd = 0;
+    return matches.filter(match => {
+        if (match.start < lastEnd) return false;
+        lastEnd = match.end;
+        return true;
+    });
+}
+
+// Edit distance that counts swapped neighbouring letters ("kign") as a single typo
+function editDistance(a, b, limit) {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+    
+    let beforePrevious = [];
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > limit) return limit + 1;
+        beforePrevious = previous;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function isInExcludedBlock(textNode, root, excluded, cache) {
+    const block = textNode.parentElement.closest('p, li, td, th, dt, dd, h1, h2, h3, h4, h5, h6, blockquote, pre, figcaption') ?? root;
+    if (!cache.has(block)) {
+        cache.set(block, findTermMatches(block.textContent, excluded).length > 0);
+    }
+    return cache.get(block);
+}
+
+function createSearchMark(text, termIndex) {
+    const mark = document.createElement('mark');
+    mark.className = `search-term-${termIndex % SEARCH_TERM_COLOURS}`;
+    mark.textContent = text;
+    return mark;
+}
+
+function clearSearchHighlights() {
+    removeSearchHighlights();
+    scheduleSearchQuerySync('');
+}
+
+function removeSearchHighlights() {
+    const highlights = document.querySelectorAll('.search-highlight');
+    highlights.forEach(highlight => {
+        const parent = highlight.parentNode;
+        parent.replaceChild(document.createTextNode(highlight.textContent), highlight);
+        parent.normalize();
+    });
+    
+    searchMatches = [];
+    currentMatchIndex = -1;
+    activeSearchQuery = '';
+    updateSearchResults([], '');
+}
+
+function updateSearchResults(termCounts, query) {
+    let indicator = document.querySelector('.search-results-indicator');
+    if (!indicator) {
+        indicator = document.createElement('div');
+        indicator.className = 'search-results-indicator';
+        indicator.setAttribute('aria-live', 'polite');
+        
+        // Keep focus in the search input while stepping with the buttons
+        indicator.addEventListener('mousedown', e => {
+            if (e.target.closest('button')) e.preventDefault();
+        });
+        indicator.addEventListener('click', e => {
+            const button = e.target.closest('[data-search-step]');
+            if (button) stepSearchMatch(Number(button.dataset.searchStep));
+        });
+        
+        const searchInput = document.querySelector('.search-input');
+        if (searchInput) {
+            getSearchPanel(searchInput).prepend(indicator);
+        }
+    }
+    
+    const count = termCounts.reduce((total, termCount) => total + termCount.count, 0);
+    
+    if (count > 0) {
+        indicator.replaceChildren();
+        
+        const status = document.createElement('span');
+        status.className = 'search-match-status';
+        status.textContent = `${count} match${count !== 1 ? 'es' : ''} found for "${query}"`;
+        indicator.appendChild(status);
+        
+        const stepper = document.createElement('span');
+        stepper.className = 'search-match-nav';
+        for (const [step, label, symbol] of [[-1, 'Previous match', '▲'], [1, 'Next match', '▼']]) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.dataset.searchStep = step;
+            button.setAttribute('aria-label', label);
+            button.title = `${label} (${step < 0 ? 'Shift+Enter' : 'Enter'})`;
+            button.textContent = symbol;
+            stepper.appendChild(button);
+        }
+        indicator.appendChild(stepper);
+        
+        // Break the total down per term once the query has more than one
+        if (termCounts.length > 1) {
+            const breakdown = document.createElement('span');
+            breakdown.className = 'search-term-counts';
+            termCounts.forEach(({ term, count }, index) => {
+                const chip = document.createElement('span');
+                chip.className = `search-term-count search-term-${index % SEARCH_TERM_COLOURS}`;
+                chip.textContent = `${term}: ${count}`;
+                breakdown.appendChild(chip);
+            });
+            indicator.appendChild(breakdown);
+        }
+        
+        indicator.style.display = 'block';
+    } else if (query) {
+        indicator.textContent = `No matches found for "${query}"`;
+        indicator.style.display = 'block';
+    } else {
+        indicator.style.display = 'none';
+    }
+}
+
+// Stepping through in-page matches
+let searchMatches = [];
+let currentMatchIndex = -1;
+let activeSearchQuery = '';
+
+function stepSearchMatch(step) {
+    if (!searchMatches.length) return;
+    const from = currentMatchIndex === -1 && step < 0 ? 0 : currentMatchIndex;
+    goToSearchMatch(from + step);
+}
+
+function goToSearchMatch(index, { scroll = true } = {}) {
+    if (!searchMatches.length) return;
+    
+    searchMatches[currentMatchIndex]?.classList.remove('search-highlight-current');
+    currentMatchIndex = (index % searchMatches.length + searchMatches.length) % searchMatches.length;
+    
+    const match = searchMatches[currentMatchIndex];
+    match.classList.add('search-highlight-current');
+    
+    if (scroll) {
+        revealElement(match);
+        match.scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'nearest' });
+    }
+    
+    const status = document.querySelector('.search-match-status');
+    if (status) {
+        status.textContent = `${currentMatchIndex + 1} of ${searchMatches.length}`;
+    }
+    
+    mergeHistoryState({ searchMatch: { query: activeSearchQuery, index: currentMatchIndex } });
+}
+
+function revealElement(element) {
+    // Open every collapsed <details> between the element and the page
+    for (let details = element.closest('details'); details; details = details.parentElement.closest('details')) {
+        details.open = true;
+    }
+    
+    // Bring the element into the visible part of horizontally scrolled tables
+    const wrapper = element.closest('.table-wrapper');
+    if (wrapper) {
+        const elementRect = element.getBoundingClientRect();
+        const wrapperRect = wrapper.getBoundingClientRect();
+        wrapper.scrollLeft += elementRect.left - wrapperRect.left - (wrapper.clientWidth - elementRect.width) / 2;
+    }
+}
+
+// The active query lives in the URL (SEARCH_QUERY_PARAM) so links, reloads and history entries keep it
+let searchQuerySyncTimer;
+
+function getUrlSearchQuery(url = location.href) {
+    return (new URL(url).searchParams.get(SEARCH_QUERY_PARAM) ?? '').trim().toLowerCase();
+}
+
+function withSearchQuery(url) {
+    if (activeSearchQuery && url.origin === location.origin && !url.searchParams.has(SEARCH_QUERY_PARAM)) {
+        url.searchParams.set(SEARCH_QUERY_PARAM, activeSearchQuery);
+    }
+    return url;
+}
+
+function scheduleSearchQuerySync(query) {
+    clearTimeout(searchQuerySyncTimer);
+    searchQuerySyncTimer = setTimeout(() => syncSearchQueryToUrl(query), 300);
+}
+
+function syncSearchQueryToUrl(query) {
+    const url = new URL(location.href);
+    if (query) {
+        url.searchParams.set(SEARCH_QUERY_PARAM, query);
+    } else {
+        url.searchParams.delete(SEARCH_QUERY_PARAM);
+    }
+    if (url.href === location.href) return;
+    
+    replaceUrl(url);
+}
+
+function applyUrlSearchQuery() {
+    const searchInput = document.querySelector('.search-input');
+    const content = document.querySelector('.content');
+    const query = getUrlSearchQuery();
+    
+    if (searchInput && searchInput.value.toLowerCase() !== query) {
+        searchInput.value = query;
+    }
+    if (!content) return;
+    
+    if (query.length <= 2) {
+        if (activeSearchQuery) removeSearchHighlights();
+        return;
+    }
+    
+    if (query !== activeSearchQuery || !content.querySelector('mark.search-highlight')) {
+        highlightSearchTerms(content, query);
+    }
+    
+    const savedMatch = history.state?.searchMatch;
+    if (savedMatch?.query === query && savedMatch.index < searchMatches.length) {
+        goToSearchMatch(savedMatch.index, { scroll: false });
+    }
+}
+
+document.addEventListener('mkdocs:page-load', applyUrlSearchQuery);
+
+function escapeRegExp(string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Site-wide search backed by the MkDocs search plugin index
+const siteRoot = new URL('..', document.currentScript?.src || location.href);
+const MAX_SEARCH_RESULTS = 10;
+let searchIndexPromise = null;
+
+function loadSearchIndex() {
+    if (!searchIndexPromise) {
+        searchIndexPromise = fetch(new URL('search/search_index.json', siteRoot))
+            .then(response => {
+                if (!response.ok) throw new Error(`Search index request failed with ${response.status}`);
+                return response.json();
+            })
+            .then(data => buildSearchEntries(data.docs ?? []))
+            .catch(error => {
+                console.log('[mkdocs] Failed to load search index');
+                console.error(error);
+                searchIndexPromise = null;
+                return [];
+            });
+    }
+    return searchIndexPromise;
+}
+
+function buildSearchEntries(docs) {
+    const pageTitles = new Map();
+    for (const doc of docs) {
+        if (!doc.location.includes('#')) {
+            pageTitles.set(doc.location, doc.title);
+        }
+    }
+    
+    return docs.map(doc => {
+        const [path, anchor] = doc.location.split('#');
+        const text = (doc.text ?? '').replace(/\s+/g, ' ').trim();
+        return {
+            url: new URL(doc.location, siteRoot).href,
+            pageTitle: pageTitles.get(path) ?? doc.title,
+            section: anchor ? doc.title : '',
+            title: doc.title,
+            text
+        };
+    });
+}
+
+function searchSite(entries, query) {
+    const { terms, excluded } = parseSearchQuery(query);
+    if (!terms.length) return [];
+    
+    return entries
+        .filter(entry => !findTermMatches(`${entry.title} ${entry.text}`, excluded).length)
+        .map(entry => ({ entry, score: scoreSearchEntry(entry, terms) }))
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_SEARCH_RESULTS)
+        .map(result => result.entry);
+}
+
+function scoreSearchEntry(entry, terms) {
+    let score = 0;
+    for (const term of terms) {
+        const titleMatch = findTermMatches(entry.title, [term])[0];
+        const textMatches = findTermMatches(entry.text, [term]);
+        
+        // Every term has to appear somewhere in the entry
+        if (!titleMatch && !textMatches.length) return 0;
+        
+        if (titleMatch) {
+            score += titleMatch.fuzzy ? 6 : titleMatch.start === 0 ? 15 : 10;
+        }
+        const exactCount = textMatches.filter(match => !match.fuzzy).length;
+        score += Math.min(exactCount, 10) + Math.min(textMatches.length - exactCount, 10) / 2;
+    }
+    return score;
+}
+
+function createSearchSnippet(text, terms) {
+    const firstMatch = findTermMatches(text, terms)[0];
+    const start = firstMatch ? Math.max(0, firstMatch.start - 40) : 0;
+    const end = Math.min(text.length, start + 160);
+    
+    return (start > 0 ? '…' : '') + text.slice(start, end).trim() + (end < text.length ? '…' : '');
+}
+
+function appendHighlightedText(parent, text, terms) {
+    let lastIndex = 0;
+    for (const match of findTermMatches(text, terms)) {
+        parent.append(text.slice(lastIndex, match.start), createSearchMark(text.slice(match.start, match.end), match.term));
+        lastIndex = match.end;
+    }
+    parent.append(text.slice(lastIndex));
+}
+
+function getSearchPanel(input) {
+    let panel = input.parentNode.querySelector('.search-panel');
+    if (!panel) {
+        panel = document.createElement('div');
+        panel.className = 'search-panel';
+        input.parentNode.appendChild(panel);
+    }
+    return panel;
+}
+
+function initializeSiteSearch(input) {
+    let debounceTimer;
+    let latestSearch = 0;
+    let activeIndex = -1;
+    
+    const dropdown = document.createElement('ul');
+    dropdown.id = 'search-dropdown';
+    dropdown.className = 'search-dropdown';
+    dropdown.setAttribute('role', 'listbox');
+    dropdown.setAttribute('aria-label', 'Search results');
+    dropdown.hidden = true;
+    getSearchPanel(input).appendChild(dropdown);
+    
+    // The index is only requested once the reader shows interest in searching
+    input.addEventListener('focus', loadSearchIndex, { once: true });
+    
+    input.addEventListener('input', () => {
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(() => runSearch(input.value.trim()), 150);
+    });
+    
+    input.addEventListener('keydown', (e) => {
+        const options = dropdown.querySelectorAll('.search-result');
+        if (dropdown.hidden || !options.length) return;
+        
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            setActiveOption((activeIndex + step + options.length) % options.length);
+        } else if (e.key === 'Enter' && activeIndex !== -1) {
+            e.preventDefault();
+            selectResult(options[activeIndex].querySelector('a'));
+        } else if (e.key === 'Escape') {
+            hideResults();
+        }
+    });
+    
+    input.addEventListener('blur', hideResults);
+    
+    // Keep focus in the input so the blur handler doesn't close the list before the click lands
+    dropdown.addEventListener('mousedown', e => e.preventDefault());
+    
+    dropdown.addEventListener('click', (e) => {
+        const link = e.target.closest('a');
+        if (link) {
+            e.preventDefault();
+            selectResult(link);
+        }
+    });
+    
+    async function runSearch(query) {
+        const searchId = ++latestSearch;
+        if (query.length < 2) {
+            hideResults();
+            return;
+        }
+        
+        const entries = await loadSearchIndex();
+        if (searchId !== latestSearch) return;
+        
+        renderResults(searchSite(entries, query), query);
+    }
+    
+    function renderResults(results, query) {
+        const { terms } = parseSearchQuery(query);
+        dropdown.replaceChildren();
+        activeIndex = -1;
+        input.removeAttribute('aria-activedescendant');
+        
+        if (!results.length) {
+            const empty = document.createElement('li');
+            empty.className = 'search-result-empty';
+            empty.textContent = `No pages found for "${query}"`;
+            dropdown.appendChild(empty);
+        }
+        
+        results.forEach((entry, index) => {
+            const item = document.createElement('li');
+            item.id = `search-result-${index}`;
+            item.className = 'search-result';
+            item.setAttribute('role', 'option');
+            item.setAttribute('aria-selected', 'false');
+            
+            const link = document.createElement('a');
+            link.href = entry.url;
+            link.tabIndex = -1;
+            
+            const title = document.createElement('span');
+            title.className = 'search-result-title';
+            appendHighlightedText(title, entry.pageTitle, terms);
+            link.appendChild(title);
+            
+            if (entry.section) {
+                const section = document.createElement('span');
+                section.className = 'search-result-section';
+                appendHighlightedText(section, entry.section, terms);
+                link.appendChild(section);
+            }
+            
+            if (entry.text) {
+                const snippet = document.createElement('span');
+                snippet.className = 'search-result-snippet';
+                appendHighlightedText(snippet, createSearchSnippet(entry.text, terms), terms);
+                link.appendChild(snippet);
+            }
+            
+            item.appendChild(link);
+            dropdown.appendChild(item);
+        });
+        
+        dropdown.hidden = false;
+        input.setAttribute('aria-expanded', 'true');
+    }
+    
+    function setActiveOption(index) {
+        const options = dropdown.querySelectorAll('.search-result');
+        options[activeIndex]?.setAttribute('aria-selected', 'false');
+        activeIndex = index;
+        options[index].setAttribute('aria-selected', 'true');
+        options[index].scrollIntoView({ block: 'nearest' });
+        input.setAttribute('aria-activedescendant', options[index].id);
+    }
+    
+    function hideResults() {
+        dropdown.hidden = true;
+        activeIndex = -1;
+        input.setAttribute('aria-expanded', 'false');
+        input.removeAttribute('aria-activedescendant');
+    }
+    
+    function selectResult(link) {
+        hideResults();
+        navigate(link.href);
+    }
+}
+
+// Theme management: the preference is 'light', 'dark' or 'system' (nothing stored).
+// The inline script in main.html applies it before first paint; this keeps it in sync afterwards.
+const THEME_STORAGE_KEY = 'theme';
+const THEME_MODES = ['light', 'dark', 'system'];
+const THEME_LABELS = { light: 'Light', dark: 'Dark', system: 'System' };
+const THEME_ICONS = { light: '☀', dark: '☾', system: '◐' };
+const darkSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+
+// Colour schemes are named palettes layered over the mode, set as data-color-scheme on <html>.
+// ice, sepia and high-contrast ship in penguin.css; extra.color_schemes and registerScheme() add more.
+const SCHEME_STORAGE_KEY = 'color-scheme';
+const moreContrastQuery = window.matchMedia('(prefers-contrast: more)');
+const registeredSchemes = new Map();
+let schemeStyle = null;
+
+function getThemePreference() {
+    const saved = localStorage.getItem(THEME_STORAGE_KEY);
+    return saved === 'light' || saved === 'dark' ? saved : 'system';
+}
+
+function resolveTheme(mode = getThemePreference()) {
+    if (mode === 'system') {
+        return darkSchemeQuery.matches ? 'dark' : 'light';
+    }
+    return mode;
+}
+
+// An explicit choice wins, then the system's contrast preference, then the site default
+function resolveScheme() {
+    const saved = localStorage.getItem(SCHEME_STORAGE_KEY);
+    if (saved) return saved;
+    if (moreContrastQuery.matches) return 'high-contrast';
+    return document.querySelector('meta[name="mkdocs-color-scheme"]')?.getAttribute('content') || 'default';
+}
+
+function applyTheme(doc = document) {
+    const mode = getThemePreference();
+    doc.documentElement.classList.toggle('dark-theme', resolveTheme(mode) === 'dark');
+    doc.documentElement.dataset.theme = mode;
+    doc.documentElement.dataset.colorScheme = resolveScheme();
+    
+    for (const toggle of doc.querySelectorAll('[data-mkdocs-theme-toggle]')) {
+        const next = THEME_MODES[(THEME_MODES.indexOf(mode) + 1) % THEME_MODES.length];
+        toggle.textContent = THEME_ICONS[mode];
+        toggle.dataset.mode = mode;
+        toggle.setAttribute('aria-label', `Theme: ${THEME_LABELS[mode]} (switch to ${THEME_LABELS[next].toLowerCase()})`);
+        toggle.title = `Theme: ${THEME_LABELS[mode]}`;
+    }
+}
+
+function setTheme(mode) {
+    if (!THEME_MODES.includes(mode)) return;
+    
+    if (mode === 'system') {
+        localStorage.removeItem(THEME_STORAGE_KEY);
+    } else {
+        localStorage.setItem(THEME_STORAGE_KEY, mode);
+    }
+    themeChanged();
+}
+
+// Pass null to go back to the site default
+function setScheme(name) {
+    if (name === null) {
+        localStorage.removeItem(SCHEME_STORAGE_KEY);
+    } else if (typeof name === 'string' && /^[\w-]+$/.test(name)) {
+        localStorage.setItem(SCHEME_STORAGE_KEY, name);
+    } else {
+        console.warn(`Invalid colour scheme name: ${name}`);
+        return;
+    }
+    themeChanged();
+}
+
+// e.g. registerScheme('fjord', { accent: '#2a9d8f', surface: '#f1faee', dark: { surface: '#10302c' } })
+// Keys are the --penguin-* custom properties without the prefix.
+function registerScheme(name, colors = {}) {
+    if (typeof name !== 'string' || !/^[\w-]+$/.test(name)) {
+        console.warn(`Invalid colour scheme name: ${name}`);
+        return;
+    }
+    
+    const { dark, ...light } = colors;
+    const declarations = values => Object.entries(values ?? {})
+        .filter(([key, value]) => /^[\w-]+$/.test(key) && typeof value === 'string' && !/[;{}]/.test(value))
+        .map(([key, value]) => `--penguin-${key.replace(/[A-Z]/g, c => '-' + c.toLowerCase())}: ${value};`)
+        .join(' ');
+    
+    registeredSchemes.set(name, `[data-color-scheme="${name}"] { ${declarations(light)} }\n` +
+        `.dark-theme[data-color-scheme="${name}"] { ${declarations(dark)} }`);
+    
+    if (!schemeStyle) {
+        schemeStyle = document.createElement('style');
+        schemeStyle.dataset.mkdocsPersist = 'registered-color-schemes';
+        document.head.append(schemeStyle);
+    }
+    schemeStyle.textContent = [...registeredSchemes.values()].join('\n');
+    
+    if (resolveScheme() === name) themeChanged();
+}
+
+// Cycles light → dark → system
+function toggleTheme() {
+    const mode = getThemePreference();
+    setTheme(THEME_MODES[(THEME_MODES.indexOf(mode) + 1) % THEME_MODES.length]);
+}
+
+function themeChanged() {
+    applyTheme();
+    
+    // Dispatch theme change event
+    document.dispatchEvent(new CustomEvent('themechange', {
+        detail: { theme: resolveTheme(), mode: getThemePreference(), scheme: resolveScheme() }
+    }));
+}
+
+function initializeTheme() {
+    applyTheme();
+    
+    document.addEventListener('click', (event) => {
+        if (event.target.closest?.('[data-mkdocs-theme-toggle]')) toggleTheme();
+    });
+    
+    // Listen for system theme changes
+    darkSchemeQuery.addEventListener('change', () => {
+        if (getThemePreference() === 'system') themeChanged();
+    });
+    moreContrastQuery.addEventListener('change', () => {
+        if (!localStorage.getItem(SCHEME_STORAGE_KEY)) themeChanged();
+    });
+    
+    // Other tabs changing the preference (key is null when storage is cleared)
+    window.addEventListener('storage', (event) => {
+        if ([THEME_STORAGE_KEY, SCHEME_STORAGE_KEY, null].includes(event.key)) themeChanged();
+    });
+    
+    // swapDocument() replaces the <html> attributes and <head>, so carry the theme over to the incoming page
+    document.addEventListener(BEFORE_SWAP, (event) => {
+        applyTheme(event.newDocument);
+        if (schemeStyle) event.newDocument.head.append(schemeStyle.cloneNode(true));
+    });
+}
+
+// Initialize theme on load
 initializeTheme();
 
 // Performance monitoring
@@ -1151,10 +4650,35 @@ function measurePageLoadTime() {
 
 measurePageLoadTime();
 
+// Initialize offline reading
+configureOffline(readOfflineMeta());
+
+// Site-wide theme settings, e.g. penguinTheme.configure({ prefetch: { defaultStrategy: "viewport" } })
+function configure(options = {}) {
+    if (options.prefetch !== undefined) {
+        configurePrefetch(options.prefetch);
+    }
+    if (options.cache !== undefined) {
+        configurePageCache(options.cache);
+    }
+    if (options.offline !== undefined) {
+        configureOffline(options.offline);
+    }
+    if (options.code !== undefined) {
+        configureCode(options.code);
+    }
+}
+
 // Export functions for external use
 window.penguinTheme = {
+    configure,
     navigate,
     toggleTheme,
+    setTheme,
+    setScheme,
+    registerScheme,
+    registerEnhancement,
+    keymap,
     highlightSearchTerms,
     clearSearchHighlights,
     prefetchPage
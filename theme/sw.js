@@ -0,0 +1,167 @@
+// Penguin Theme service worker for offline reading, registered by penguin.js when extra.offline is set
+
+const CACHE_VERSION = "v1";
+const SHELL_CACHE = `penguin-shell-${CACHE_VERSION}`;
+// Pages opened in the browser, oldest dropped first beyond MAX_VISITED_PAGES
+const PAGE_CACHE = `penguin-pages-${CACHE_VERSION}`;
+// Pages saved with the "Save this section for offline" button, kept until the reader clears them
+const SAVED_CACHE = `penguin-saved-${CACHE_VERSION}`;
+const MAX_VISITED_PAGES = 50;
+
+// The worker is served from the site root, so these resolve against its scope
+const scope = self.registration.scope;
+const SHELL_ASSETS = ["css/penguin.css", "js/penguin.js", "404.html", "assets/decoration.png"]
+    .map(path => new URL(path, scope).href);
+const FALLBACK_PAGE = new URL("404.html", scope).href;
+// Kept with the shell so search still works offline
+const SEARCH_INDEX = new URL("search/search_index.json", scope).href;
+
+self.addEventListener("install", (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            // Sites built without the search plugin have no index, which mustn't stop the install
+            .then(cache => cache.addAll(SHELL_ASSETS).then(() => cache.add(SEARCH_INDEX).catch(() => {})))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener("activate", (event) => {
+    // Drop caches left behind by older versions of the worker
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith("penguin-") && ![SHELL_CACHE, PAGE_CACHE, SAVED_CACHE].includes(key))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener("fetch", (event) => {
+    const request = event.request;
+    if (request.method !== "GET" || !request.url.startsWith(scope)) return;
+
+    event.respondWith(networkFirst(event));
+});
+
+self.addEventListener("message", (event) => {
+    const port = event.ports[0];
+    const { type, urls } = event.data ?? {};
+
+    if (type === "save-pages") {
+        event.waitUntil(savePages(urls).then(result => port?.postMessage(result)));
+    } else if (type === "list-pages") {
+        event.waitUntil(listPages().then(result => port?.postMessage(result)));
+    } else if (type === "offline-status") {
+        const clientId = event.source?.id;
+        port?.postMessage(cachedNavigations.get(clientId) ?? null);
+        cachedNavigations.delete(clientId);
+    }
+});
+
+// Navigations answered from the cache, by the id of the page they created. That page doesn't exist yet
+// when the response goes out, so it asks with an "offline-status" message once it has loaded.
+const cachedNavigations = new Map();
+
+// Pages are stored without their hash or search query (?q=), so ?q=krill and #diet share one copy.
+// Same rule as getPageCacheKey() in penguin.js, which checks these keys to know what's saved offline
+function getPageKey(url) {
+    const key = new URL(url);
+    key.hash = "";
+    key.searchParams.delete("q");
+    return key.href;
+}
+
+function isPage(response) {
+    const contentType = response.headers.get("content-type") ?? "";
+    return contentType.startsWith("text/html") || contentType.startsWith("application/xhtml+xml");
+}
+
+async function networkFirst(event) {
+    const request = event.request;
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            if (SHELL_ASSETS.includes(request.url) || request.url === SEARCH_INDEX) {
+                const cache = await caches.open(SHELL_CACHE);
+                await cache.put(request.url, response.clone());
+            } else if (request.mode === "navigate" && isPage(response)) {
+                // Only pages the reader opens; prefetches and link previews would fill the cache by themselves
+                await storeVisitedPage(request.url, response.clone());
+            }
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request.url) ?? await caches.match(getPageKey(request.url));
+        if (cached) {
+            notifyClient(event, { fallback: false });
+            return cached;
+        }
+
+        // Full page loads get the 404 page, which penguin.js turns into an offline notice
+        if (request.mode === "navigate") {
+            const fallback = await caches.match(FALLBACK_PAGE);
+            if (fallback) {
+                notifyClient(event, { fallback: true });
+                return fallback;
+            }
+        }
+        throw error;
+    }
+}
+
+// Tell the page it's reading from the cache so it can show the offline banner
+function notifyClient(event, { fallback }) {
+    const message = { type: "offline-response", url: event.request.url, fallback };
+    if (event.request.mode === "navigate") {
+        if (event.resultingClientId) cachedNavigations.set(event.resultingClientId, message);
+        return;
+    }
+    if (!event.clientId) return;
+
+    event.waitUntil(self.clients.get(event.clientId).then(client => client?.postMessage(message)));
+}
+
+async function storeVisitedPage(url, response) {
+    const key = getPageKey(url);
+    // A saved page is refreshed where it is, so it isn't evicted with the visited ones
+    const saved = await caches.open(SAVED_CACHE);
+    if (await saved.match(key)) {
+        await saved.put(key, response);
+        return;
+    }
+
+    const cache = await caches.open(PAGE_CACHE);
+    // Keys come back in insertion order, so re-adding the page makes it the newest
+    await cache.delete(key);
+    await cache.put(key, response);
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_VISITED_PAGES)).map(request => cache.delete(request)));
+}
+
+async function savePages(urls = []) {
+    const cache = await caches.open(SAVED_CACHE);
+    const visited = await caches.open(PAGE_CACHE);
+    const results = await Promise.allSettled(urls.map(async url => {
+        const response = await fetch(url);
+        if (!response.ok || !isPage(response)) {
+            throw new Error(`Couldn't save ${url}`);
+        }
+        await cache.put(getPageKey(url), response);
+        await visited.delete(getPageKey(url));
+        return url;
+    }));
+
+    return {
+        saved: results.filter(result => result.status === "fulfilled").map(result => result.value),
+        failed: urls.filter((url, i) => results[i].status === "rejected")
+    };
+}
+
+async function listPages() {
+    const lists = await Promise.all([PAGE_CACHE, SAVED_CACHE].map(async name => {
+        const cache = await caches.open(name);
+        return cache.keys();
+    }));
+    return lists.flat().map(request => request.url);
+}
\ No newline at end of file